@@ -0,0 +1,28 @@
+// Фильтр контента: списки слов и действия правил.
+// Действие: block - отклонить, mask - скрыть совпадения звёздочками, flag - пропустить и отправить в очередь жалоб.
+// Слово с * в конце совпадает с любым окончанием
+module.exports = {
+  wordLists: {
+    ru: [
+      // Короткие корни перечислены формами: основы вроде «бля*» и «хуе*» совпадают с «бляха» и «Huey»
+      'бля', 'блять', 'бляд*', 'хуй', 'хуя', 'хую', 'хуем', 'хуи', 'хуйн*', 'хуев*', 'хуёв*', 'хуил*',
+      'пизд*', 'ебат*', 'ебан*', 'ебал*', 'еблан*', 'заеб*', 'выеб*',
+      'сука', 'суки', 'сучк*', 'мудак*', 'мудил*', 'гандон*', 'пидор*', 'пидар*', 'шлюх*', 'дерьм*', 'залуп*'
+    ],
+    en: [
+      'fuck*', 'motherfuck*', 'shit', 'shits', 'shitty', 'shithead*', 'bullshit*', 'bitch*', 'cunt*', 'dick', 'dickhead*',
+      'asshole*', 'bastard*', 'whore*', 'slut*', 'faggot*', 'nigger*', 'retard*'
+    ]
+  },
+  rules: {
+    profanity: { action: 'mask', profile: 'block' },
+    links: { action: 'flag', message: 'mask', profile: 'block' },
+    spam: { action: 'block' },
+    flood: { action: 'block' }
+  },
+  // Домены, ссылки на которые не считаются подозрительными
+  allowedDomains: (process.env.CONTENT_ALLOWED_DOMAINS || 'choizze.com').split(',').map(d => d.trim()).filter(Boolean),
+  spam: { maxLinks: 3, maxRepeatedChars: 12 },
+  // Одинаковые сообщения одного пользователя: не больше maxDuplicates за windowSeconds
+  flood: { maxDuplicates: 3, windowSeconds: 60 }
+};
@@ -0,0 +1,6 @@
+// Тарифы подписки: длительность и цена в USDT или CP
+module.exports = {
+  month: { name: 'Месяц', duration_days: 30, price_usdt: 5, price_cp: 500 },
+  quarter: { name: 'Три месяца', duration_days: 90, price_usdt: 12, price_cp: 1200 },
+  year: { name: 'Год', duration_days: 365, price_usdt: 40, price_cp: 4000 }
+};
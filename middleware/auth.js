@@ -1,21 +1,18 @@
-const jwt = require('jsonwebtoken');
-
-// Секретный ключ для подписи JWT. Он должен совпадать с тем, что в server.js
-const jwtSecret = 'ваш_супер_секретный_ключ_для_jwt';
+const { bearerToken, verifyAccessToken } = require('../services/auth');
 
+// Проверка access-токена без обращения к базе: подпись и срок действия.
+// Токены подписываются и проверяются общим модулем services/auth с ключом JWT_SECRET
 const auth = (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Авторизация не пройдена, нет токена.' });
+  }
   try {
-    const token = req.headers.authorization.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'Авторизация не пройдена, нет токена.' });
-    }
-
-    const decodedToken = jwt.verify(token, jwtSecret);
-    req.user = decodedToken;
+    req.user = verifyAccessToken(token);
     next();
   } catch (err) {
     res.status(401).json({ error: 'Авторизация не пройдена, неверный токен.' });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Назначение первого администратора: node seed_admin.js <email>
+// Дальше роли назначаются через PUT /admin/users/:id/role
+const User = mongoose.model('User', new mongoose.Schema({ email: String }, { strict: false }));
+const UserStats = mongoose.model('UserStats', new mongoose.Schema({
+  user_id: mongoose.Schema.Types.ObjectId,
+  role: String
+}, { strict: false }), 'userstats');
+
+async function seedAdmin(email) {
+  const user = await User.findOne({ email });
+  if (!user) throw new Error(`Пользователь ${email} не найден`);
+  const admin = await UserStats.findOne({ role: 'admin' });
+  if (admin) throw new Error(`Администратор уже есть: ${admin.user_id}`);
+  await UserStats.updateOne({ user_id: user._id }, { $set: { role: 'admin' } }, { upsert: true });
+  console.log(`Пользователь ${email} (${user._id}) назначен администратором`);
+}
+
+const email = process.argv[2];
+if (!email) {
+  console.error('Использование: node seed_admin.js <email>');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 })
+  .then(() => seedAdmin(email))
+  .catch(err => {
+    console.error('Ошибка:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -2,28 +2,53 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
-const { spawn } = require('child_process');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const dotenv = require('dotenv');
 const crypto = require('crypto');
 const { TronWeb } = require('tronweb');
-const fetch = require('node-fetch');
 const { check, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
-
-// Схема для хранения информации о платежах
-const PaymentSchema = new mongoose.Schema({
-  payeerId: String,
-  amount: Number,
-  currency: String,
-  status: { type: String, default: 'pending' },
-  protectionCode: String,
-  createdAt: { type: Date, default: Date.now }
-});
-
-const Payment = mongoose.model('Payment', PaymentSchema);
+const path = require('path');
+const multer = require('multer');
+const { createStorage } = require('./services/storage');
+const { MEDIA_TYPES, UPLOAD_LIMITS, detectMime, buildMediaKey, createThumbnail } = require('./services/media');
+const { rankCandidates } = require('./services/matchmaking');
+const {
+  SUBSCRIPTION_GRACE_DAYS,
+  hasTier,
+  activeMinutesSince,
+  subscriptionState,
+  resolveEntitlements
+} = require('./services/entitlements');
+const { ROLES, hasPermission } = require('./services/roles');
+const { createDefaultContentFilter } = require('./services/moderation');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  bearerToken,
+  verifyAccessToken,
+  hashToken,
+  RefreshTokenError,
+  createSessionService
+} = require('./services/auth');
+const { createMailer, templates: mailTemplates } = require('./services/mail');
+const SUBSCRIPTION_PLANS = require('./config/plans');
+const MODERATION_CONFIG = require('./config/moderation');
+const { createLedger, assertTransactionSupport, SYSTEM_ACCOUNTS, InsufficientFundsError, AccountNotFoundError } = require('./services/ledger');
+const { toTokenUnits, fromTokenUnits, createTronClient } = require('./services/tron');
+const {
+  ORDER_STATES,
+  OPEN_STATES,
+  createOrderService,
+  createBestChangeProvider,
+  createFaucetPayProvider,
+  createPayeerProvider,
+  toFakeProviders,
+  loadPayeerHistory,
+  buildReconciliationRows,
+  toCsv
+} = require('./services/payments');
 
 dotenv.config();
 
@@ -45,7 +70,22 @@ mongoose.connect(process.env.MONGODB_URI, {
   retryWrites: true, // Повторные попытки записи
   retryReads: true // Повторные попытки чтения
 })
-  .then(() => logger.info('MongoDB подключён'))
+  .then(async () => {
+    logger.info('MongoDB подключён');
+    try {
+      await assertTransactionSupport(mongoose.connection);
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+    return Promise.all([
+      orders.migrateLegacyStatuses(),
+      migrateModeratorFlags(),
+      migrateLegacyBans(),
+      migrateEmailVerification(),
+      migrateLegacyReposts()
+    ]);
+  })
   .catch(err => logger.error('Ошибка MongoDB:', err));
 
 // Логирование
@@ -78,11 +118,17 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Раздача загруженных файлов при локальном хранилище
+if (process.env.STORAGE_DRIVER !== 's3') {
+  app.use(process.env.MEDIA_BASE_URL || '/uploads', express.static(path.resolve(process.env.UPLOAD_DIR || 'uploads')));
+}
+
 // Схемы MongoDB
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  email_verified_at: Date,
   created_at: { type: Date, default: Date.now },
   referral_code: { type: String, unique: true },
   referred_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
@@ -102,80 +148,458 @@ const userProfileSchema = new mongoose.Schema({
   birth_date: Date,
   gender: String,
   city: String,
-  access_type: { type: String, enum: ['trial', 'express', 'full'], default: 'trial' }
+  access_type: { type: String, enum: ['trial', 'express', 'full'], default: 'trial' },
+  privacy: {
+    messages: { type: String, enum: ['everyone', 'friends', 'nobody'], default: 'friends' },
+    friend_requests: { type: String, enum: ['everyone', 'friends_of_friends', 'nobody'], default: 'everyone' }
+  }
 });
 
 const friendSchema = new mongoose.Schema({
   requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   status: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
+  rejected_at: Date,
+  created_at: { type: Date, default: Date.now }
+});
+
+friendSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+friendSchema.index({ recipient: 1, status: 1 });
+
+const blockSchema = new mongoose.Schema({
+  blocker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   created_at: { type: Date, default: Date.now }
 });
 
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
 const postSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   content_type: { type: String, enum: ['text', 'image', 'video'], required: true },
   content_url: String,
+  thumbnail_url: String,
   content_text: String,
   created_at: { type: Date, default: Date.now },
   likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  reposts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  reposts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  comments_count: { type: Number, default: 0 },
+  edited_at: Date,
+  edit_history: [{
+    content_url: String,
+    content_text: String,
+    edited_at: { type: Date, default: Date.now }
+  }],
+  deleted_at: Date,
+  deleted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+postSchema.index({ user_id: 1, created_at: -1 });
+
+// Отдельная запись о репосте нужна ленте: время репоста и кто репостнул
+const repostSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  post_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+repostSchema.index({ user_id: 1, post_id: 1 }, { unique: true });
+repostSchema.index({ user_id: 1, created_at: -1 });
+
+// Загруженные файлы
+const mediaSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['image', 'video'], required: true },
+  mime_type: { type: String, required: true },
+  size: { type: Number, required: true },
+  key: { type: String, required: true },
+  url: { type: String, required: true, index: true },
+  thumbnail_key: String,
+  thumbnail_url: String,
+  purpose: { type: String, enum: ['post', 'avatar'], default: 'post' },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Начисленные за лайк/репост CP: запись не удаляется, поэтому повторный лайк не начисляет снова
+const postRewardSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  post_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  action: { type: String, enum: ['like', 'repost'], required: true },
+  points: { type: Number, required: true },
+  revoked_at: Date,
+  created_at: { type: Date, default: Date.now }
+});
+
+postRewardSchema.index({ user_id: 1, post_id: 1, action: 1 }, { unique: true });
+postRewardSchema.index({ post_id: 1, revoked_at: 1 });
+
+// Комментарии: один уровень ответов, parent_id указывает на комментарий верхнего уровня
+const commentSchema = new mongoose.Schema({
+  post_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  parent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  reply_to_user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  content_text: { type: String, required: true },
+  replies_count: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  edited_at: Date,
+  deleted_at: Date,
+  deleted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 });
 
+commentSchema.index({ post_id: 1, parent_id: 1, created_at: 1 });
+
 const messageSchema = new mongoose.Schema({
   sender_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   receiver_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   message_text: String,
-  created_at: { type: Date, default: Date.now }
+  created_at: { type: Date, default: Date.now },
+  delivered_at: Date,
+  read_at: Date
 });
 
+messageSchema.index({ sender_id: 1, receiver_id: 1, created_at: -1 });
+messageSchema.index({ receiver_id: 1, read_at: 1 });
+
 const userStatsSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  lives: { type: Number, default: 3 },
+  lives: { type: Number, default: 3, min: 0 },
   ban_tokens: { type: Number, default: 5 },
+  // Запрет на жалобы после повторяющихся ложных репортов
+  reports_blocked_until: Date,
   trial_time_spent: { type: Number, default: 0 },
   is_banned: { type: Boolean, default: false },
-  is_moderator: { type: Boolean, default: false },
+  // JWT, выданные раньше этого времени, отозваны
+  tokens_valid_after: Date,
+  role: { type: String, enum: Object.keys(ROLES), default: 'user' },
   points: { type: Number, default: 0 },
   active_time: { type: Number, default: 0 },
   last_active: { type: Date, default: Date.now }
 });
 
+// Проводка книги CP: записи по счетам в сумме дают ноль, ключ идемпотентности уникален
+const ledgerEntrySchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amount: { type: Number, required: true },
+  balance_after: Number
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  idempotency_key: { type: String, required: true, unique: true },
+  reason: {
+    type: String,
+    enum: ['opening_balance', 'referral_bonus', 'quiz_reward', 'post_reward', 'post_reward_revoke', 'points_purchase', 'subscription_purchase', 'refund'],
+    required: true
+  },
+  ref_type: String,
+  ref_id: mongoose.Schema.Types.ObjectId,
+  entries: { type: [ledgerEntrySchema], required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+ledgerTransactionSchema.index({ 'entries.account': 1, created_at: -1 });
+
+// Очередь матчинга: одна запись на пользователя
+const matchQueueSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  preferences: {
+    gender: String,
+    age_min: Number,
+    age_max: Number,
+    city: String
+  },
+  status: { type: String, enum: ['searching', 'proposed'], default: 'searching' },
+  joined_at: { type: Date, default: Date.now }
+});
+
+matchQueueSchema.index({ status: 1, joined_at: 1 });
+
+// Предложение пары: чат открывается, когда обе стороны приняли
+const matchProposalSchema = new mongoose.Schema({
+  users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  responses: [{
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    response: { type: String, enum: ['accepted', 'declined'] },
+    responded_at: { type: Date, default: Date.now }
+  }],
+  score: Number,
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'expired'], default: 'pending' },
+  expires_at: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+matchProposalSchema.index({ users: 1, status: 1 });
+matchProposalSchema.index({ status: 1, expires_at: 1 });
+
+// Недавно показанные кандидаты, удаляются автоматически по TTL
+const matchSeenSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seen_user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seen_at: { type: Date, default: Date.now, expires: '3d' }
+});
+
+matchSeenSchema.index({ user_id: 1, seen_user_id: 1 }, { unique: true });
+
+// Решения по кандидатам (лайк/пропуск), кандидат с решением больше не показывается
+const matchDecisionSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  target_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  decision: { type: String, enum: ['like', 'pass'], required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+matchDecisionSchema.index({ user_id: 1, target_id: 1 }, { unique: true });
+matchDecisionSchema.index({ user_id: 1, created_at: -1 });
+
+// Взаимный лайк; pair_key - отсортированные ID пары, защищает от дублей
+const mutualMatchSchema = new mongoose.Schema({
+  users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  pair_key: { type: String, required: true, unique: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+mutualMatchSchema.index({ users: 1, created_at: -1 });
+
+// Жалоба пользователя или пометка фильтра контента (source: filter, без автора)
 const reportSchema = new mongoose.Schema({
-  reporter_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  source: { type: String, enum: ['user', 'filter'], default: 'user' },
+  reporter_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function() { return this.source !== 'filter'; } },
   reported_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  comment_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  target_type: { type: String, enum: ['post', 'comment', 'message', 'profile'] },
+  target_id: mongoose.Schema.Types.ObjectId,
   report_reason: String,
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  // pending - в очереди, in_review - назначен модератору, approved/rejected - решение принято
+  status: { type: String, enum: ['pending', 'in_review', 'approved', 'rejected'], default: 'pending' },
+  assigned_to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assigned_at: Date,
+  resolution: {
+    action: { type: String, enum: ['none', 'warning', 'ban'] },
+    note: String,
+    ban_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Ban' },
+    warning_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Warning' }
+  },
+  resolved_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolved_at: Date,
   created_at: { type: Date, default: Date.now }
 });
 
+reportSchema.index({ status: 1, created_at: 1 });
+reportSchema.index({ assigned_to: 1, status: 1 });
+reportSchema.index({ reporter_id: 1, status: 1, resolved_at: -1 });
+reportSchema.index({ reported_id: 1, created_at: -1 });
+
 const banSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   moderator_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // end_date пустой у бессрочного бана (жизни закончились)
   end_date: Date,
+  permanent: { type: Boolean, default: false },
+  reason: String,
+  report_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  // active - действует, expired - истёк срок, lifted - снят модератором или по апелляции
+  status: { type: String, enum: ['active', 'expired', 'lifted'], default: 'active' },
+  lifted_at: Date,
+  lifted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lift_reason: String,
+  created_at: { type: Date, default: Date.now }
+});
+
+banSchema.index({ status: 1, end_date: 1 });
+banSchema.index({ user_id: 1, status: 1 });
+
+// Апелляция забаненного пользователя, одна на бан
+const appealSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ban_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Ban', required: true, unique: true },
+  text: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewed_at: Date,
+  response: String,
+  created_at: { type: Date, default: Date.now }
+});
+
+appealSchema.index({ status: 1, created_at: 1 });
+
+// Срабатывание правила фильтра контента
+const contentFilterHitSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  content_type: { type: String, enum: ['post', 'comment', 'message', 'profile'], required: true },
+  // Пустой у заблокированного контента: он не сохраняется
+  content_id: mongoose.Schema.Types.ObjectId,
+  rule: { type: String, required: true },
+  action: { type: String, enum: ['mask', 'flag', 'block'], required: true },
+  reason: String,
+  matches: [String],
+  excerpt: String,
+  created_at: { type: Date, default: Date.now }
+});
+
+contentFilterHitSchema.index({ created_at: -1 });
+contentFilterHitSchema.index({ user_id: 1, created_at: -1 });
+
+// Предупреждение пользователю по итогам жалобы
+const warningSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  moderator_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  report_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  reason: String,
   created_at: { type: Date, default: Date.now }
 });
 
+warningSchema.index({ user_id: 1, created_at: -1 });
+
 const transactionSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   type: { type: String, enum: ['points_purchase', 'subscription_purchase'], required: true },
   amount: Number,
-  currency: { type: String, enum: ['USDT'], required: true },
-  payment_method: { type: String, enum: ['BESTCHANGE', 'FAUCETPAY'], required: true },
+  currency: { type: String, enum: ['USDT', 'USD', 'CP'], required: true },
+  payment_method: { type: String, enum: ['BESTCHANGE', 'FAUCETPAY', 'PAYEER', 'CP_BALANCE'], required: true },
+  plan: String,
   verification_code: String,
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+  // Адрес и уникальная для адреса сумма заказа BestChange (в минимальных единицах USDT), по ним находится перевод в сети
+  deposit_address: String,
+  expected_amount: Number,
+  // Занятая открытым заказом пара адрес:сумма, снимается при выходе заказа из ожидания
+  amount_lock: String,
+  status: { type: String, enum: ORDER_STATES, default: 'created' },
+  status_history: [{
+    status: { type: String, enum: ORDER_STATES },
+    at: { type: Date, default: Date.now },
+    note: String,
+    _id: false
+  }],
   transaction_id: String,
+  paid_at: Date,
+  credited_at: Date,
+  created_at: { type: Date, default: Date.now }
+});
+
+transactionSchema.index({ amount_lock: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ status: 1, payment_method: 1, created_at: -1 });
+
+// Уведомления провайдеров оплаты как есть, с результатом проверки
+const paymentCallbackSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  ip: String,
+  payload: mongoose.Schema.Types.Mixed,
+  evidence: mongoose.Schema.Types.Mixed,
+  order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  result: { type: String, enum: ['accepted', 'duplicate', 'rejected'] },
+  reason: String,
+  created_at: { type: Date, default: Date.now }
+});
+
+paymentCallbackSchema.index({ order_id: 1, created_at: -1 });
+
+// Адреса для депозитов USDT: один на пользователя, индекс - номер в цепочке HD-кошелька
+const depositAddressSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  index: { type: Number, required: true, unique: true },
+  address: { type: String, required: true, unique: true },
+  derivation_path: { type: String, required: true },
+  created_at: { type: Date, default: Date.now },
+  // Последняя проверка адреса сверкой без открытого заказа
+  scanned_at: { type: Date, default: null }
+});
+
+depositAddressSchema.index({ scanned_at: 1 });
+
+// Входящие переводы USDT TRC-20: одна запись на хеш, поэтому перевод зачисляется не больше одного раза
+const chainTransferSchema = new mongoose.Schema({
+  tx_id: { type: String, required: true, unique: true },
+  from: String,
+  to: String,
+  amount: Number,
+  block_number: Number,
+  block_timestamp: Date,
+  status: { type: String, enum: ['credited', 'unmatched', 'rejected'], required: true },
+  reason: String,
+  transaction_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
   created_at: { type: Date, default: Date.now }
 });
 
+// Сессия устройства: хеш текущего refresh-токена и прежние хеши для обнаружения повторного использования
+const sessionSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refresh_hash: { type: String, required: true },
+  previous_hashes: [String],
+  // Время последнего обновления: окно для параллельных обновлений тем же токеном
+  rotated_at: Date,
+  ip: String,
+  user_agent: String,
+  created_at: { type: Date, default: Date.now },
+  last_used_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true },
+  revoked_at: Date,
+  revoked_reason: { type: String, enum: ['logout', 'logout_all', 'revoked', 'reuse', 'ban', 'password_change', 'password_reset'] }
+});
+
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Одноразовый токен из письма: подтверждение email, смена email или сброс пароля. В базе хранится только хеш
+const emailTokenSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['verify_email', 'change_email', 'reset_password'], required: true },
+  token_hash: { type: String, required: true, unique: true },
+  // Адрес, который подтверждается токеном (новый адрес при смене email)
+  email: { type: String, required: true },
+  expires_at: { type: Date, required: true },
+  used_at: Date,
+  created_at: { type: Date, default: Date.now }
+});
+
+emailTokenSchema.index({ user_id: 1, purpose: 1, created_at: -1 });
+emailTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Журнал ручных действий модераторов: кто, что, над чем и почему
+const auditLogSchema = new mongoose.Schema({
+  actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true },
+  target_type: { type: String, required: true },
+  target_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reason: { type: String, required: true },
+  details: mongoose.Schema.Types.Mixed,
+  created_at: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ target_type: 1, target_id: 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1 });
+
+// Позиция фоновых обработчиков: время последнего обработанного блока
+const syncCursorSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  block_timestamp: { type: Number, required: true },
+  updated_at: { type: Date, default: Date.now }
+});
+
 const subscriptionSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   transaction_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+  plan: String,
+  start_date: { type: Date, default: Date.now },
   end_date: Date,
-  status: { type: String, enum: ['active', 'expired'], default: 'active' },
+  // grace - срок истёк, но доступ сохраняется до grace_until
+  status: { type: String, enum: ['active', 'grace', 'expired'], default: 'active' },
+  grace_until: Date,
+  auto_renew: { type: Boolean, default: false },
+  reminder_sent_at: Date,
+  renewals: [{
+    transaction_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    plan: String,
+    end_date: Date,
+    renewed_at: { type: Date, default: Date.now }
+  }],
   created_at: { type: Date, default: Date.now }
 });
 
+subscriptionSchema.index({ user_id: 1, status: 1, end_date: -1 });
+subscriptionSchema.index({ status: 1, end_date: 1 });
+
 const quizSchema = new mongoose.Schema({
   question: String,
   answers: [String],
@@ -183,65 +607,303 @@ const quizSchema = new mongoose.Schema({
   created_at: { type: Date, default: Date.now }
 });
 
+// Просмотр рекламы: сервер выдаёт запись при начале показа и засчитывает её не раньше минимального
+// времени просмотра. Экспресс-доступ даёт только засчитанный просмотр (viewed_at)
 const adViewSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  viewed_at: { type: Date, default: Date.now }
+  started_at: { type: Date, default: Date.now },
+  viewed_at: Date,
+  ip: String,
+  user_agent: String
 });
 
+adViewSchema.index({ user_id: 1, viewed_at: -1 });
+
 // Модели MongoDB
 const User = mongoose.model('User', userSchema);
 const UserProfile = mongoose.model('UserProfile', userProfileSchema);
 const Friend = mongoose.model('Friend', friendSchema);
+const Block = mongoose.model('Block', blockSchema);
 const Post = mongoose.model('Post', postSchema);
+const Repost = mongoose.model('Repost', repostSchema);
+const Comment = mongoose.model('Comment', commentSchema);
+const PostReward = mongoose.model('PostReward', postRewardSchema);
+const Media = mongoose.model('Media', mediaSchema);
+const MatchQueue = mongoose.model('MatchQueue', matchQueueSchema);
+const MatchProposal = mongoose.model('MatchProposal', matchProposalSchema);
+const MatchSeen = mongoose.model('MatchSeen', matchSeenSchema);
+const MatchDecision = mongoose.model('MatchDecision', matchDecisionSchema);
+const MutualMatch = mongoose.model('MutualMatch', mutualMatchSchema);
 const Message = mongoose.model('Message', messageSchema);
 const UserStats = mongoose.model('UserStats', userStatsSchema);
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
 const Report = mongoose.model('Report', reportSchema);
 const Ban = mongoose.model('Ban', banSchema);
+const Warning = mongoose.model('Warning', warningSchema);
+const Appeal = mongoose.model('Appeal', appealSchema);
+const ContentFilterHit = mongoose.model('ContentFilterHit', contentFilterHitSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
+const PaymentCallback = mongoose.model('PaymentCallback', paymentCallbackSchema);
+const DepositAddress = mongoose.model('DepositAddress', depositAddressSchema);
+const ChainTransfer = mongoose.model('ChainTransfer', chainTransferSchema);
+const SyncCursor = mongoose.model('SyncCursor', syncCursorSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const EmailToken = mongoose.model('EmailToken', emailTokenSchema);
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 const Quiz = mongoose.model('Quiz', quizSchema);
 const AdView = mongoose.model('AdView', adViewSchema);
 
-// Middleware для проверки JWT и обновления активного времени
-const authMiddleware = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
+// Действующая подписка, включая льготный период. Активная подписка с прошедшим end_date ещё не
+// переведена фоновой обработкой в grace, но льготный период для неё уже идёт
+const findCurrentSubscription = (userId) => {
+  const now = new Date();
+  return Subscription.findOne({
+    user_id: userId,
+    $or: [
+      { status: 'active', end_date: { $gt: new Date(now.getTime() - SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000) } },
+      { status: 'grace', grace_until: { $gt: now } }
+    ]
+  }).sort({ end_date: -1 });
+};
+
+// Действующий уровень доступа пользователя
+async function getEntitlements(userId, stats) {
+  const [userStats, lastAdView, subscription] = await Promise.all([
+    stats || UserStats.findOne({ user_id: userId }),
+    AdView.findOne({ user_id: userId, viewed_at: { $ne: null } }).sort({ viewed_at: -1 }),
+    findCurrentSubscription(userId)
+  ]);
+  return resolveEntitlements({
+    trialMinutesSpent: userStats?.trial_time_spent || 0,
+    lastAdViewAt: lastAdView?.viewed_at,
+    subscription
+  });
+}
+
+// Кэш уровня доступа в профиле для отображения; источник истины - getEntitlements
+async function syncProfileAccessType(userId, entitlements) {
+  const accessType = entitlements.tier === 'none' ? 'trial' : entitlements.tier;
+  await UserProfile.updateOne({ user_id: userId, access_type: { $ne: accessType } }, { access_type: accessType });
+}
+
+// Токен выдан до отзыва (бан, выход со всех устройств): действует и для токенов без сессии
+const isTokenRevoked = (decoded, stats) =>
+  !!(stats && stats.tokens_valid_after && decoded.iat * 1000 < stats.tokens_valid_after.getTime());
+
+// Middleware для проверки JWT и обновления активного времени.
+// allowBanned пропускает забаненных: им доступны только маршруты бана и апелляции
+const authenticate = ({ allowBanned = false } = {}) => async (req, res, next) => {
+  const token = bearerToken(req);
   if (!token) return res.status(401).json({ error: 'Токен не предоставлен' });
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Срок действия токена истёк', expired: true });
+    logger.error('Ошибка проверки токена:', err);
+    return res.status(401).json({ error: 'Неверный токен' });
+  }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     req.user = decoded;
-
     const stats = await UserStats.findOne({ user_id: decoded.id });
+    if (isTokenRevoked(decoded, stats)) return res.status(401).json({ error: 'Токен отозван' });
+    // Токены без sid выданы до появления сессий и действуют до истечения срока
+    if (decoded.sid && !(await sessions.isActive(decoded.sid))) return res.status(401).json({ error: 'Сессия завершена' });
+    if (stats && stats.is_banned && !allowBanned) return res.status(403).json({ error: 'Пользователь забанен', banned: true });
+    req.role = (stats && stats.role) || 'user';
+
+    let entitlements = await getEntitlements(decoded.id, stats);
     if (stats) {
-      if (stats.is_banned) return res.status(403).json({ error: 'Пользователь забанен' });
-      if (stats.access_type === 'trial') {
-        const timeNow = new Date();
-        stats.trial_time_spent += (timeNow - stats.last_active) / 1000 / 60;
-        if (stats.trial_time_spent > 30) {
-          return res.status(402).json({ error: 'Пробный период истёк. Оплатите или просмотрите рекламу.' });
-        }
-        stats.last_active = timeNow;
-        await stats.save();
+      // Время пробного периода идёт только пока пользователь активен и на пробном уровне
+      const now = new Date();
+      const minutes = activeMinutesSince(stats.last_active, now);
+      const inc = { active_time: minutes };
+      if (entitlements.tier === 'trial') inc.trial_time_spent = minutes;
+      await UserStats.updateOne({ _id: stats._id }, { $inc: inc, $set: { last_active: now } });
+      if (inc.trial_time_spent) {
+        entitlements = resolveEntitlements({ trialMinutesSpent: stats.trial_time_spent + minutes });
       }
     }
+    req.entitlements = entitlements;
     next();
   } catch (err) {
-    logger.error('Ошибка проверки токена:', err);
-    res.status(401).json({ error: 'Неверный токен' });
+    logger.error('Ошибка авторизации:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 };
 
-// Middleware для проверки модератора
-const moderatorMiddleware = async (req, res, next) => {
+const authMiddleware = authenticate();
+
+// Middleware для проверки уровня доступа маршрута
+const requireTier = (tier) => (req, res, next) => {
+  const current = req.entitlements?.tier || 'none';
+  if (hasTier(current, tier)) return next();
+  if (current === 'none') return res.status(402).json({ error: 'Пробный период истёк. Оплатите или просмотрите рекламу.', required: tier });
+  res.status(402).json({ error: 'Недостаточный уровень доступа', required: tier, current });
+};
+
+// Фильтры подбора по полу и возрасту доступны только с подпиской
+const MATCH_FILTER_FIELDS = ['gender', 'age_min', 'age_max'];
+
+const requireMatchFilterTier = (req, res, next) => {
+  if (!MATCH_FILTER_FIELDS.some(field => req.body[field] !== undefined)) return next();
+  requireTier('full')(req, res, next);
+};
+
+// Middleware для маршрутов, доступных только с подтверждённым email (платежи, жалобы)
+const requireVerifiedEmail = async (req, res, next) => {
   try {
-    const stats = await UserStats.findOne({ user_id: req.user.id });
-    if (!stats || !stats.is_moderator) return res.status(403).json({ error: 'Требуются права модератора' });
-    next();
+    if (await User.exists({ _id: req.user.id, email_verified_at: { $ne: null } })) return next();
+    res.status(403).json({ error: 'Подтвердите email', code: 'EMAIL_NOT_VERIFIED' });
+  } catch (err) {
+    logger.error('Ошибка проверки email:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+};
+
+// Middleware для проверки права роли; роль загружает authMiddleware
+const requirePermission = (permission) => (req, res, next) => {
+  if (hasPermission(req.role, permission)) return next();
+  res.status(403).json({ error: 'Недостаточно прав', required: permission });
+};
+
+// Флаг is_moderator из старых записей заменяется ролью moderator
+async function migrateModeratorFlags() {
+  const promoted = await UserStats.collection.updateMany(
+    { is_moderator: true, role: { $in: [null, 'user'] } },
+    { $set: { role: 'moderator' } }
+  );
+  if (promoted.modifiedCount) logger.info(`Модераторы переведены на роли: ${promoted.modifiedCount}`);
+  await UserStats.collection.updateMany({ is_moderator: { $exists: true } }, { $unset: { is_moderator: '' } });
+}
+
+// Хранилище загруженных файлов
+const storage = createStorage();
+const ledger = createLedger({ connection: mongoose.connection, LedgerTransaction, UserStats });
+const contentFilter = createDefaultContentFilter(MODERATION_CONFIG);
+const sessions = createSessionService({ Session, logger });
+const mailer = createMailer({ logger });
+
+// Проверка текста фильтром контента. Срабатывания по заблокированному тексту записываются сразу,
+// по пропущенному - вызовом record(id) после сохранения; помеченный контент попадает в очередь жалоб.
+// При регистрации пользователя ещё нет: автор передаётся в record, отказ только пишется в лог
+async function screenContent(userId, type, text) {
+  const result = contentFilter.check(text, { userId, type });
+  const record = async (contentId, ownerId = userId) => {
+    if (!result.hits.length || !ownerId) return;
+    await ContentFilterHit.insertMany(result.hits.map(hit => ({
+      user_id: ownerId,
+      content_type: type,
+      content_id: contentId,
+      ...hit,
+      excerpt: text.slice(0, 500)
+    })));
+    if (result.flagged && contentId) {
+      const rules = result.hits.filter(hit => hit.action === 'flag').map(hit => hit.rule);
+      await Report.create({
+        source: 'filter',
+        reported_id: ownerId,
+        target_type: type,
+        target_id: contentId,
+        comment_id: type === 'comment' ? contentId : undefined,
+        report_reason: `Фильтр контента: ${rules.join(', ')}`
+      });
+    }
+  };
+  const blocked = result.action === 'block';
+  if (blocked) {
+    await record();
+    logger.info(`Контент отклонён фильтром (${type}) у ${userId}: ${result.hits.map(hit => hit.rule).join(', ')}`);
+  }
+  return { blocked, text: result.text, hits: result.hits, record };
+}
+
+const contentRejected = (screening) => ({
+  error: 'Текст отклонён фильтром контента',
+  rules: screening.hits.filter(hit => hit.action === 'block').map(hit => ({ rule: hit.rule, reason: hit.reason }))
+});
+
+// Загрузка одного файла с лимитом размера по уровню доступа пользователя
+const uploadMiddleware = (kinds) => async (req, res, next) => {
+  try {
+    const limits = UPLOAD_LIMITS[req.entitlements.tier] || UPLOAD_LIMITS.trial;
+    const maxSize = Math.max(...kinds.map(kind => limits[kind]));
+    if (!maxSize) return res.status(402).json({ error: 'Загрузка недоступна на вашем уровне доступа' });
+    req.uploadLimits = limits;
+    multer({ storage: multer.memoryStorage(), limits: { fileSize: maxSize, files: 1 } }).single('file')(req, res, (err) => {
+      if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'Файл слишком большой' });
+      if (err) return res.status(400).json({ error: 'Ошибка загрузки файла', details: err.message });
+      if (!req.file) return res.status(400).json({ error: 'Файл не передан' });
+      next();
+    });
   } catch (err) {
-    logger.error('Ошибка проверки модератора:', err);
+    logger.error('Ошибка загрузки файла:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 };
 
+// Сохранение загруженного файла в хранилище с превью для изображений
+async function storeUpload(req, res, kinds, purpose) {
+  const mimeType = detectMime(req.file.buffer);
+  const type = MEDIA_TYPES[mimeType];
+  if (!type || !kinds.includes(type.kind)) {
+    res.status(415).json({ error: 'Неподдерживаемый тип файла' });
+    return null;
+  }
+  const maxSize = req.uploadLimits[type.kind];
+  if (!maxSize) {
+    res.status(402).json({ error: 'Загрузка недоступна на вашем уровне доступа' });
+    return null;
+  }
+  if (req.file.size > maxSize) {
+    res.status(413).json({ error: 'Файл слишком большой' });
+    return null;
+  }
+
+  let thumbnail = null;
+  if (type.kind === 'image') {
+    try {
+      thumbnail = await createThumbnail(req.file.buffer);
+    } catch (err) {
+      res.status(415).json({ error: 'Повреждённое изображение' });
+      return null;
+    }
+  }
+
+  const key = buildMediaKey(req.user.id, type.kind, type.ext);
+  const url = await storage.put(key, req.file.buffer, mimeType);
+  const thumbnailKey = thumbnail ? key.replace(/^[^/]+/, 'thumbs').replace(/\.[^.]+$/, '.webp') : undefined;
+  const thumbnailUrl = thumbnail ? await storage.put(thumbnailKey, thumbnail, 'image/webp') : undefined;
+  return Media.create({
+    user_id: req.user.id,
+    kind: type.kind,
+    mime_type: mimeType,
+    size: req.file.size,
+    key,
+    url,
+    thumbnail_key: thumbnailKey,
+    thumbnail_url: thumbnailUrl,
+    purpose
+  });
+}
+
+// Проверка ссылки на загруженный файл: только свой файл нужного типа, внешние ссылки не принимаются
+async function resolveMediaUrl(userId, url, kind) {
+  const media = await Media.findOne({ url });
+  if (!media) return { ok: false, media: null };
+  return { ok: media.user_id.toString() === userId.toString() && media.kind === kind, media };
+}
+
+// Файл поста при создании и редактировании: только свой загруженный файл того же типа, что и пост
+async function resolvePostMedia(userId, contentType, contentUrl) {
+  if (contentType === 'text') return contentUrl ? { error: 'У текстового поста не может быть файла' } : {};
+  if (!contentUrl) return { error: 'Для изображения или видео нужен content_url' };
+  const { ok, media } = await resolveMediaUrl(userId, contentUrl, contentType);
+  if (!ok) return { error: 'Файл не подходит для этого поста' };
+  return { thumbnail_url: media.thumbnail_url };
+}
+
 // Инициализация TronWeb
 const tronWeb = new TronWeb({
   fullHost: 'https://api.trongrid.io',
@@ -251,6 +913,129 @@ const tronWeb = new TronWeb({
 // Генерация уникального кода
 const generateVerificationCode = () => crypto.randomBytes(8).toString('hex');
 
+// Провайдеры оплаты и заказы. Новый провайдер подключается одним адаптером в списке ниже
+const PAYMENT_ORDER_TTL_MS = (parseFloat(process.env.PAYMENT_ORDER_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Публичный адрес API для уведомлений провайдеров и адрес фронтенда для возврата пользователя
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || PUBLIC_URL;
+
+const tronClient = createTronClient();
+const bestChange = createBestChangeProvider({
+  Transaction,
+  DepositAddress,
+  ChainTransfer,
+  SyncCursor,
+  tronClient,
+  xpub: process.env.TRON_XPUB,
+  wallet: process.env.USDT_WALLET,
+  orderTtlMs: PAYMENT_ORDER_TTL_MS,
+  idleScanIntervalMs: (parseFloat(process.env.DEPOSIT_SCAN_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  idleScanLimit: parseInt(process.env.DEPOSIT_SCAN_BATCH) || 20,
+  logger
+});
+const paymentProviders = [
+  bestChange,
+  createFaucetPayProvider({
+    username: process.env.FAUCETPAY_USERNAME,
+    callbackUrl: process.env.FAUCETPAY_CALLBACK_URL || `${PUBLIC_URL}/faucetpay/callback`,
+    successUrl: process.env.FAUCETPAY_SUCCESS_URL || `${FRONTEND_URL}/payment/success`,
+    cancelUrl: process.env.FAUCETPAY_CANCEL_URL || `${FRONTEND_URL}/payment/cancel`
+  })
+];
+// Payeer подключается, только если задан магазин: без секретного ключа подпись уведомлений
+// проверить нельзя, поэтому неполная настройка останавливает запуск
+if (process.env.PAYEER_SHOP_ID || process.env.PAYEER_SECRET_KEY) {
+  paymentProviders.push(createPayeerProvider({ shopId: process.env.PAYEER_SHOP_ID, secretKey: process.env.PAYEER_SECRET_KEY }));
+} else {
+  logger.warn('Payeer отключён: не заданы PAYEER_SHOP_ID и PAYEER_SECRET_KEY');
+}
+// PAYMENTS_FAKE=true подменяет провайдеров поддельными (кроме production)
+const useFakePayments = process.env.PAYMENTS_FAKE === 'true' && process.env.NODE_ENV !== 'production';
+const orders = createOrderService({
+  Transaction,
+  PaymentCallback,
+  providers: useFakePayments ? toFakeProviders(paymentProviders) : paymentProviders,
+  fulfill: fulfillTransaction,
+  logger
+});
+
+// Ответ с данными для оплаты: HTML-форма или JSON
+const sendPayment = (res, order, payment) => {
+  if (payment.html) return res.type('html').send(payment.html);
+  res.json({ message: 'Платеж инициирован', transactionId: order._id, ...payment.json });
+};
+
+// ID друзей пользователя
+const getFriendIds = async (userId) => {
+  const friends = await Friend.find({ $or: [{ requester: userId }, { recipient: userId }], status: 'accepted' });
+  return friends.map(f => f.requester.toString() === userId.toString() ? f.recipient : f.requester);
+};
+
+const areFriends = async (userId, otherId) => !!(await Friend.exists({
+  $or: [
+    { requester: userId, recipient: otherId },
+    { requester: otherId, recipient: userId }
+  ],
+  status: 'accepted'
+}));
+
+// Блокировка в любую сторону
+const isBlockedBetween = async (userId, otherId) => !!(await Block.exists({
+  $or: [
+    { blocker: userId, blocked: otherId },
+    { blocker: otherId, blocked: userId }
+  ]
+}));
+
+// ID пользователей, которых заблокировал пользователь или которые заблокировали его
+const getBlockedUserIds = async (userId) => {
+  const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] });
+  return blocks.map(b => b.blocker.toString() === userId.toString() ? b.blocked : b.blocker);
+};
+
+// Проверка настроек приватности получателя перед отправкой сообщения
+const canMessage = async (senderId, receiverId) => {
+  if (await isBlockedBetween(senderId, receiverId)) return false;
+  const profile = await UserProfile.findOne({ user_id: receiverId });
+  const policy = profile?.privacy?.messages || 'friends';
+  if (policy === 'everyone') return true;
+  if (policy === 'nobody') return false;
+  if (await areFriends(senderId, receiverId)) return true;
+  // Взаимно принятый матч или взаимный лайк открывает чат без дружбы
+  if (await MutualMatch.exists({ users: { $all: [senderId, receiverId] } })) return true;
+  return !!(await MatchProposal.exists({ users: { $all: [senderId, receiverId] }, status: 'accepted' }));
+};
+
+// Проверка настроек приватности получателя перед запросом на дружбу
+const canSendFriendRequest = async (requesterId, recipientId) => {
+  if (await isBlockedBetween(requesterId, recipientId)) return false;
+  const profile = await UserProfile.findOne({ user_id: recipientId });
+  const policy = profile?.privacy?.friend_requests || 'everyone';
+  if (policy === 'everyone') return true;
+  if (policy === 'nobody') return false;
+  const [requesterFriends, recipientFriends] = await Promise.all([getFriendIds(requesterId), getFriendIds(recipientId)]);
+  const recipientSet = new Set(recipientFriends.map(id => id.toString()));
+  return requesterFriends.some(id => recipientSet.has(id.toString()));
+};
+
+// Профили пользователей по ID
+const getProfileMap = async (userIds) => {
+  const profiles = await UserProfile.find({ user_id: { $in: userIds } }).select('user_id nickname avatar_url');
+  return new Map(profiles.map(p => [p.user_id.toString(), p]));
+};
+
+// Запросы на дружбу с профилем второй стороны
+const withRequestProfiles = async (requests, side) => {
+  const profiles = await UserProfile.find({ user_id: { $in: requests.map(r => r[side]) } });
+  const profileMap = new Map(profiles.map(p => [p.user_id.toString(), p]));
+  return requests.map(r => ({
+    requestId: r._id,
+    userId: r[side],
+    created_at: r.created_at,
+    profile: profileMap.get(r[side].toString()) || null
+  }));
+};
+
 // Валидация
 const registerValidation = [
   check('username').notEmpty().withMessage('Имя пользователя обязательно'),
@@ -265,15 +1050,135 @@ const loginValidation = [
   check('password').notEmpty().withMessage('Пароль обязателен')
 ];
 
+const refreshValidation = [
+  check('refreshToken').isString().notEmpty().withMessage('refreshToken обязателен')
+];
+
+const emailTokenValidation = [
+  check('token').isString().notEmpty().withMessage('Токен обязателен')
+];
+
+const forgotPasswordValidation = [
+  check('email').isEmail().withMessage('Неверный email')
+];
+
+const resetPasswordValidation = [
+  check('token').isString().notEmpty().withMessage('Токен обязателен'),
+  check('password').isLength({ min: 6 }).withMessage('Пароль минимум 6 символов')
+];
+
+const changePasswordValidation = [
+  check('current_password').notEmpty().withMessage('Текущий пароль обязателен'),
+  check('new_password').isLength({ min: 6 }).withMessage('Пароль минимум 6 символов')
+];
+
+const changeEmailValidation = [
+  check('current_password').notEmpty().withMessage('Текущий пароль обязателен'),
+  check('new_email').isEmail().withMessage('Неверный email')
+];
+
+const subscriptionPurchaseValidation = [
+  check('plan').isIn(Object.keys(SUBSCRIPTION_PLANS)).withMessage('Неизвестный тариф'),
+  check('payment_method').isIn(['CP', 'BESTCHANGE', 'FAUCETPAY', 'PAYEER']).withMessage('Способ оплаты: CP, BESTCHANGE, FAUCETPAY или PAYEER'),
+  check('auto_renew').optional().isBoolean().withMessage('auto_renew должен быть булевым')
+];
+
+const autoRenewValidation = [
+  check('enabled').isBoolean().withMessage('enabled должен быть булевым')
+];
+
+const sweepReportValidation = [
+  check('min_usdt').optional().isFloat({ min: 0 }).withMessage('min_usdt должен быть неотрицательным числом'),
+  check('after').optional().isInt({ min: 0 }).withMessage('Неверный курсор'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Лимит от 1 до 100')
+];
+
+const paymentListValidation = [
+  check('status').optional().isIn(ORDER_STATES).withMessage('Неизвестный статус'),
+  check('provider').optional().isIn(['BESTCHANGE', 'FAUCETPAY', 'PAYEER', 'CP_BALANCE']).withMessage('Неизвестный провайдер'),
+  check('from').optional().isISO8601().withMessage('Неверная дата from'),
+  check('to').optional().isISO8601().withMessage('Неверная дата to')
+];
+
+const auditListValidation = [
+  check('target_id').optional().isMongoId().withMessage('Неверный ID объекта')
+];
+
+const paymentResolveValidation = [
+  check('status').isIn(['paid', 'failed']).withMessage('Статус: paid или failed'),
+  check('reason').isString().trim().notEmpty().withMessage('Причина обязательна')
+];
+
+const paymentRefundValidation = [
+  check('reason').isString().trim().notEmpty().withMessage('Причина обязательна')
+];
+
+const roleAssignValidation = [
+  check('role').isIn(Object.keys(ROLES)).withMessage(`Роль: ${Object.keys(ROLES).join(', ')}`),
+  check('reason').isString().trim().notEmpty().withMessage('Причина обязательна')
+];
+
 const paymentValidation = [
   check('amount').isFloat({ min: 1 }).withMessage('Минимум $1')
 ];
 
 const reportValidation = [
-  check('reported_id').isMongoId().withMessage('Неверный ID'),
+  check('reported_id').optional().isMongoId().withMessage('Неверный ID'),
+  check('comment_id').optional().isMongoId().withMessage('Неверный ID комментария'),
   check('report_reason').notEmpty().withMessage('Причина обязательна')
 ];
 
+const reportListValidation = [
+  check('status').optional().isIn(['pending', 'in_review', 'approved', 'rejected']).withMessage('Неизвестный статус'),
+  check('assigned_to').optional().custom(value => value === 'me' || value === 'none' || mongoose.isValidObjectId(value)).withMessage('assigned_to: me, none или ID'),
+  check('reported_id').optional().isMongoId().withMessage('Неверный ID'),
+  check('reporter_id').optional().isMongoId().withMessage('Неверный ID'),
+  check('source').optional().isIn(['user', 'filter']).withMessage('Источник: user или filter'),
+  check('after').optional().isISO8601().withMessage('Неверный курсор'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Лимит от 1 до 100')
+];
+
+const filterHitListValidation = [
+  check('rule').optional().isString().withMessage('Неверное правило'),
+  check('action').optional().isIn(['mask', 'flag', 'block']).withMessage('Действие: mask, flag или block'),
+  check('user_id').optional().isMongoId().withMessage('Неверный ID')
+];
+
+const reportAssignValidation = [
+  check('moderator_id').optional().isMongoId().withMessage('Неверный ID модератора')
+];
+
+const reportResolveValidation = [
+  check('decision').isIn(['approved', 'rejected']).withMessage('Решение: approved или rejected'),
+  check('action').optional().isIn(['none', 'warning', 'ban']).withMessage('Действие: none, warning или ban'),
+  check('duration').if(check('action').equals('ban')).isInt({ min: 1 }).withMessage('Длительность бана в днях'),
+  check('note').optional().isString().isLength({ max: 1000 }).withMessage('Комментарий до 1000 символов')
+];
+
+const banListValidation = [
+  check('status').optional().isIn(['active', 'expired', 'lifted']).withMessage('Статус: active, expired или lifted'),
+  check('user_id').optional().isMongoId().withMessage('Неверный ID')
+];
+
+const banLiftValidation = [
+  check('reason').isString().trim().notEmpty().withMessage('Причина обязательна'),
+  check('restore_life').optional().isBoolean().withMessage('restore_life должен быть булевым')
+];
+
+const appealValidation = [
+  check('text').isString().trim().notEmpty().withMessage('Текст апелляции обязателен'),
+  check('text').isLength({ max: 2000 }).withMessage('Апелляция до 2000 символов')
+];
+
+const appealListValidation = [
+  check('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Статус: pending, approved или rejected')
+];
+
+const appealResolveValidation = [
+  check('decision').isIn(['approved', 'rejected']).withMessage('Решение: approved или rejected'),
+  check('response').isString().trim().notEmpty().withMessage('Ответ обязателен')
+];
+
 const banValidation = [
   check('user_id').isMongoId().withMessage('Неверный ID'),
   check('duration').isInt({ min: 1 }).withMessage('Длительность в днях')
@@ -282,38 +1187,105 @@ const banValidation = [
 const matchValidation = [
   check('gender').optional().isIn(['male', 'female', 'other']).withMessage('Неверный пол'),
   check('age_min').optional().isInt({ min: 18 }).withMessage('Мин возраст >= 18'),
-  check('age_max').optional().isInt({ max: 100 }).withMessage('Макс возраст <= 100')
+  check('age_max').optional().isInt({ max: 100 }).withMessage('Макс возраст <= 100'),
+  check('city').optional().isString().trim().isLength({ max: 100 }).withMessage('Неверный город')
 ];
 
-const quizAnswerValidation = [
-  check('quiz_id').isMongoId().withMessage('Неверный ID викторины'),
-  check('answer').isInt().withMessage('Ответ должен быть числом')
+const postValidation = [
+  check('content_type').isIn(['text', 'image', 'video']).withMessage('Тип поста: text, image или video'),
+  check('content_url').optional().isString().withMessage('Неверный URL')
 ];
 
-// Регистрация
-app.post('/register', registerValidation, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+const postUpdateValidation = [
+  check('content_text').optional().isString().withMessage('Неверный текст'),
+  check('content_url').optional().isString().withMessage('Неверный URL')
+];
 
-    const { username, email, password, nickname, referral_code } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 10);
-    let referred_by = null;
+const commentValidation = [
+  check('content_text').isString().trim().notEmpty().withMessage('Текст комментария обязателен'),
+  check('content_text').isLength({ max: 2000 }).withMessage('Комментарий до 2000 символов'),
+  check('parent_id').optional({ values: 'null' }).isMongoId().withMessage('Неверный ID комментария')
+];
+
+const commentListValidation = [
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Лимит от 1 до 100'),
+  check('cursor').optional().isString().withMessage('Неверный курсор')
+];
+
+const decisionValidation = [
+  check('targetId').isMongoId().withMessage('Неверный ID'),
+  check('decision').isIn(['like', 'pass']).withMessage('Решение: like или pass')
+];
+
+const feedValidation = [
+  check('mode').optional().isIn(['latest', 'top']).withMessage('Режим: latest или top'),
+  check('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Лимит от 1 до 50'),
+  check('cursor').optional().isString().withMessage('Неверный курсор')
+];
+
+const privacyValidation = [
+  check('messages').optional().isIn(['everyone', 'friends', 'nobody']).withMessage('Неверная настройка сообщений'),
+  check('friend_requests').optional().isIn(['everyone', 'friends_of_friends', 'nobody']).withMessage('Неверная настройка запросов в друзья')
+];
+
+const blockValidation = [
+  check('userId').isMongoId().withMessage('Неверный ID')
+];
+
+const messageValidation = [
+  check('receiverId').isMongoId().withMessage('Неверный ID получателя'),
+  check('messageText').isString().trim().notEmpty().withMessage('Текст сообщения обязателен')
+];
+
+const adViewValidation = [
+  check('ad_view_id').isMongoId().withMessage('Неверный ID просмотра')
+];
+
+const messageHistoryValidation = [
+  check('before').optional().isISO8601().withMessage('Неверный курсор'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Лимит от 1 до 100')
+];
+
+// Курсор before и размер страницы - те же, что у истории сообщений
+const pageValidation = messageHistoryValidation;
+
+const quizAnswerValidation = [
+  check('quiz_id').isMongoId().withMessage('Неверный ID викторины'),
+  check('answer').isInt().withMessage('Ответ должен быть числом')
+];
+
+// Регистрация
+app.post('/register', registerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { username, email, password, nickname, referral_code } = req.body;
+    const nicknameScreening = await screenContent(null, 'profile', nickname);
+    if (nicknameScreening.blocked) return res.status(422).json(contentRejected(nicknameScreening));
+    const hashedPassword = await bcrypt.hash(password, 10);
+    let referred_by = null;
     if (referral_code) {
       const referrer = await User.findOne({ referral_code });
       if (referrer) referred_by = referrer._id;
     }
-    const user = await User.create({ username, email, password: hashedPassword, referred_by });
-    await UserProfile.create({ user_id: user._id, nickname });
+    const user = await User.create({ username, email, password: hashedPassword, referred_by, email_verified_at: null });
+    const profile = await UserProfile.create({ user_id: user._id, nickname: nicknameScreening.text });
     await UserStats.create({ user_id: user._id });
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    await nicknameScreening.record(profile._id, user._id);
+    const tokens = await sessions.issue(user._id, req);
+    // Ошибка отправки не мешает регистрации: письмо можно запросить повторно
+    sendEmailToken(user, 'verify_email').catch(err => logger.error('Ошибка отправки письма подтверждения:', err));
     if (referred_by) {
-      const referrerStats = await UserStats.findOne({ user_id: referred_by });
-      referrerStats.points += 100;
-      await referrerStats.save();
+      await ledger.credit(referred_by, 100, {
+        key: `referral:${user._id}`,
+        reason: 'referral_bonus',
+        refType: 'User',
+        refId: user._id
+      });
     }
     logger.info(`Пользователь зарегистрирован: ${user._id}`);
-    res.status(201).json({ token, userId: user._id });
+    res.status(201).json({ ...tokens, userId: user._id, email_verified: false });
   } catch (err) {
     logger.error('Ошибка регистрации:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
@@ -329,17 +1301,327 @@ app.post('/login', loginValidation, async (req, res) => {
     const { email, password } = req.body;
     const user = await User.findOne({ email });
     if (!user || !(await bcrypt.compare(password, user.password))) return res.status(401).json({ error: 'Неверный email или пароль' });
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const tokens = await sessions.issue(user._id, req);
     logger.info(`Пользователь авторизован: ${user._id}`);
-    res.json({ token, userId: user._id });
+    res.json({ ...tokens, userId: user._id, email_verified: !!user.email_verified_at });
   } catch (err) {
     logger.error('Ошибка авторизации:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
+// Обновление пары токенов по refresh-токену; старый refresh-токен больше не действует
+app.post('/auth/refresh', refreshValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const tokens = await sessions.refresh(req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (err) {
+    if (err instanceof RefreshTokenError) return res.status(401).json({ error: err.message, code: err.code });
+    logger.error('Ошибка обновления токена:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Завершение сессии и отключение её сокетов
+async function endSession(userId, sessionId, reason) {
+  const session = await sessions.revoke(userId, sessionId, reason);
+  if (session) io.in(`session:${sessionId}`).disconnectSockets(true);
+  return session;
+}
+
+// Выход на текущем устройстве
+app.post('/logout', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    if (req.user.sid) await endSession(req.user.id, req.user.sid, 'logout');
+    res.json({ message: 'Сессия завершена' });
+  } catch (err) {
+    logger.error('Ошибка выхода:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Выход на всех устройствах: отзываются все сессии и все ранее выданные токены
+app.post('/logout-all', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await sessions.revokeAll(userId, 'logout_all');
+    await UserStats.updateOne({ user_id: userId }, { tokens_valid_after: new Date(Math.floor(Date.now() / 1000) * 1000) });
+    io.in(userId).disconnectSockets(true);
+    logger.info(`Выход на всех устройствах: ${userId}, сессий ${result.modifiedCount}`);
+    res.json({ message: 'Все сессии завершены', revoked: result.modifiedCount });
+  } catch (err) {
+    logger.error('Ошибка выхода на всех устройствах:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Активные сессии пользователя: устройство, IP и время последнего обновления
+app.get('/me/sessions', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    const list = await sessions.list(req.user.id);
+    res.json(list.map(session => ({
+      id: session._id,
+      ip: session.ip,
+      user_agent: session.user_agent,
+      created_at: session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session._id.toString() === req.user.sid
+    })));
+  } catch (err) {
+    logger.error('Ошибка получения сессий:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Завершение одной сессии
+app.delete('/me/sessions/:id', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+    const session = await endSession(req.user.id, req.params.id, 'revoked');
+    if (!session) return res.status(404).json({ error: 'Сессия не найдена' });
+    logger.info(`Сессия ${session._id} завершена пользователем ${req.user.id}`);
+    res.json({ message: 'Сессия завершена' });
+  } catch (err) {
+    logger.error('Ошибка завершения сессии:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Срок действия токенов из писем и минимальный интервал между письмами одного назначения
+const EMAIL_TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  change_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000
+};
+const EMAIL_RESEND_INTERVAL_MS = 60 * 1000;
+
+const EMAIL_TEMPLATES = {
+  verify_email: mailTemplates.verifyEmail,
+  change_email: mailTemplates.changeEmail,
+  reset_password: mailTemplates.resetPassword
+};
+
+// Новый токен из письма; прежние неиспользованные токены того же назначения перестают действовать
+async function sendEmailToken(user, purpose, email = user.email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  await EmailToken.updateMany({ user_id: user._id, purpose, used_at: null }, { used_at: now });
+  await EmailToken.create({
+    user_id: user._id,
+    purpose,
+    token_hash: hashToken(token),
+    email,
+    expires_at: new Date(now.getTime() + EMAIL_TOKEN_TTL_MS[purpose])
+  });
+  await mailer.send({ to: email, ...EMAIL_TEMPLATES[purpose]({ baseUrl: FRONTEND_URL, token, username: user.username }) });
+}
+
+// Письмо того же назначения отправлялось меньше минуты назад
+const emailRecentlySent = (userId, purpose) =>
+  EmailToken.exists({ user_id: userId, purpose, created_at: { $gt: new Date(Date.now() - EMAIL_RESEND_INTERVAL_MS) } });
+
+// Погашение токена: атомарно, повторно тот же токен не принимается
+const consumeEmailToken = (token, purposes) => EmailToken.findOneAndUpdate(
+  { token_hash: hashToken(token), purpose: { $in: purposes }, used_at: null, expires_at: { $gt: new Date() } },
+  { used_at: new Date() },
+  { new: true }
+);
+
+// Отзыв сессий и токенов после смены пароля; текущая сессия (exceptSessionId) сохраняется
+async function revokeAfterPasswordChange(userId, reason, exceptSessionId) {
+  await sessions.revokeAll(userId, reason, exceptSessionId);
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  for (const socket of sockets) {
+    if (!exceptSessionId || !socket.rooms.has(`session:${exceptSessionId}`)) socket.disconnect(true);
+  }
+}
+
+// Подтверждение email по токену из письма; при смене email адрес меняется здесь же
+app.post('/auth/verify-email', emailTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const emailToken = await consumeEmailToken(req.body.token, ['verify_email', 'change_email']);
+    if (!emailToken) return res.status(400).json({ error: 'Ссылка недействительна или устарела', code: 'INVALID_TOKEN' });
+
+    const update = { email_verified_at: new Date() };
+    if (emailToken.purpose === 'change_email') {
+      if (await User.exists({ email: emailToken.email, _id: { $ne: emailToken.user_id } })) {
+        return res.status(409).json({ error: 'Email уже используется' });
+      }
+      update.email = emailToken.email;
+    }
+    // Токен подтверждает только тот адрес, на который отправлялся
+    const user = await User.findOneAndUpdate(
+      emailToken.purpose === 'verify_email' ? { _id: emailToken.user_id, email: emailToken.email } : { _id: emailToken.user_id },
+      update,
+      { new: true }
+    );
+    if (!user) return res.status(400).json({ error: 'Ссылка недействительна или устарела', code: 'INVALID_TOKEN' });
+    logger.info(`Email подтверждён: ${user._id}${emailToken.purpose === 'change_email' ? ' (смена адреса)' : ''}`);
+    res.json({ message: 'Email подтверждён', email: user.email });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'Email уже используется' });
+    logger.error('Ошибка подтверждения email:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Повторная отправка письма подтверждения
+app.post('/auth/resend-verification', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'Пользователь не найден' });
+    if (user.email_verified_at) return res.status(400).json({ error: 'Email уже подтверждён' });
+    if (await emailRecentlySent(user._id, 'verify_email')) {
+      return res.status(429).json({ error: 'Письмо уже отправлено, повторите через минуту' });
+    }
+    await sendEmailToken(user, 'verify_email');
+    res.json({ message: 'Письмо отправлено' });
+  } catch (err) {
+    logger.error('Ошибка повторной отправки письма:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Запрос на сброс пароля. Ответ одинаковый независимо от того, есть ли такой email
+app.post('/auth/forgot-password', forgotPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !(await emailRecentlySent(user._id, 'reset_password'))) {
+      await sendEmailToken(user, 'reset_password');
+      logger.info(`Запрошен сброс пароля: ${user._id}`);
+    }
+    res.json({ message: 'Если адрес зарегистрирован, на него отправлено письмо со ссылкой' });
+  } catch (err) {
+    logger.error('Ошибка запроса сброса пароля:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Новый пароль по токену из письма; все сессии и выданные токены отзываются
+app.post('/auth/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const emailToken = await consumeEmailToken(req.body.token, ['reset_password']);
+    if (!emailToken) return res.status(400).json({ error: 'Ссылка недействительна или устарела', code: 'INVALID_TOKEN' });
+
+    const password = await bcrypt.hash(req.body.password, 10);
+    // Письмо пришло на адрес аккаунта, значит адрес подтверждён
+    const user = await User.findOneAndUpdate(
+      { _id: emailToken.user_id, email: emailToken.email },
+      [{ $set: { password, email_verified_at: { $ifNull: ['$email_verified_at', '$$NOW'] } } }],
+      { new: true }
+    );
+    if (!user) return res.status(400).json({ error: 'Ссылка недействительна или устарела', code: 'INVALID_TOKEN' });
+    await revokeAfterPasswordChange(user._id, 'password_reset');
+    await UserStats.updateOne({ user_id: user._id }, { tokens_valid_after: new Date(Math.floor(Date.now() / 1000) * 1000) });
+    mailer.send({ to: user.email, ...mailTemplates.passwordChanged({ username: user.username }) })
+      .catch(err => logger.error('Ошибка отправки уведомления о смене пароля:', err));
+    logger.info(`Пароль сброшен: ${user._id}`);
+    res.json({ message: 'Пароль изменён, войдите заново' });
+  } catch (err) {
+    logger.error('Ошибка сброса пароля:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Смена пароля с текущим паролем; остальные сессии и все ранее выданные access-токены, в том числе
+// токены без сессии, отзываются. Текущая сессия остаётся и получает новый access-токен
+app.put('/me/password', authMiddleware, changePasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'Пользователь не найден' });
+    if (!(await bcrypt.compare(req.body.current_password, user.password))) {
+      return res.status(403).json({ error: 'Неверный текущий пароль' });
+    }
+    user.password = await bcrypt.hash(req.body.new_password, 10);
+    await user.save();
+    await revokeAfterPasswordChange(user._id, 'password_change', req.user.sid);
+    await UserStats.updateOne({ user_id: user._id }, { tokens_valid_after: new Date(Math.floor(Date.now() / 1000) * 1000) });
+    // Токен без sid выдан до появления сессий: вместо него открывается новая сессия
+    const tokens = req.user.sid
+      ? { token: signAccessToken(user._id, req.user.sid), expiresIn: ACCESS_TOKEN_TTL }
+      : await sessions.issue(user._id, req);
+    mailer.send({ to: user.email, ...mailTemplates.passwordChanged({ username: user.username }) })
+      .catch(err => logger.error('Ошибка отправки уведомления о смене пароля:', err));
+    logger.info(`Пароль изменён: ${user._id}`);
+    res.json({ message: 'Пароль изменён', ...tokens });
+  } catch (err) {
+    logger.error('Ошибка смены пароля:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Смена email: адрес меняется после подтверждения по ссылке, отправленной на новый адрес
+app.put('/me/email', authMiddleware, changeEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { current_password, new_email } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'Пользователь не найден' });
+    if (!(await bcrypt.compare(current_password, user.password))) {
+      return res.status(403).json({ error: 'Неверный текущий пароль' });
+    }
+    if (new_email === user.email) return res.status(400).json({ error: 'Это текущий email' });
+    if (await User.exists({ email: new_email })) return res.status(409).json({ error: 'Email уже используется' });
+    if (await emailRecentlySent(user._id, 'change_email')) {
+      return res.status(429).json({ error: 'Письмо уже отправлено, повторите через минуту' });
+    }
+    await sendEmailToken(user, 'change_email', new_email);
+    mailer.send({ to: user.email, ...mailTemplates.emailChangeNotice({ username: user.username, newEmail: new_email }) })
+      .catch(err => logger.error('Ошибка отправки уведомления о смене email:', err));
+    logger.info(`Запрошена смена email: ${user._id}`);
+    res.json({ message: 'Письмо для подтверждения отправлено на новый адрес' });
+  } catch (err) {
+    logger.error('Ошибка смены email:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Загрузка файла для поста
+app.post('/media', authMiddleware, requireTier('trial'), uploadMiddleware(['image', 'video']), async (req, res) => {
+  try {
+    const media = await storeUpload(req, res, ['image', 'video'], 'post');
+    if (!media) return;
+    logger.info(`Файл загружен: ${media._id} пользователем ${req.user.id}`);
+    res.status(201).json({
+      mediaId: media._id,
+      content_type: media.kind,
+      url: media.url,
+      thumbnail_url: media.thumbnail_url || null
+    });
+  } catch (err) {
+    logger.error('Ошибка загрузки файла:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Загрузка аватара
+app.post('/media/avatar', authMiddleware, requireTier('trial'), uploadMiddleware(['image']), async (req, res) => {
+  try {
+    const media = await storeUpload(req, res, ['image'], 'avatar');
+    if (!media) return;
+    await UserProfile.updateOne({ user_id: req.user.id }, { avatar_url: media.url });
+    logger.info(`Аватар загружен: ${media._id} пользователем ${req.user.id}`);
+    res.status(201).json({ mediaId: media._id, url: media.url, thumbnail_url: media.thumbnail_url });
+  } catch (err) {
+    logger.error('Ошибка загрузки аватара:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
 // Получение профиля
-app.get('/api/user/:id', authMiddleware, async (req, res) => {
+app.get('/api/user/:id', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) return res.status(404).json({ error: 'Пользователь не найден' });
@@ -352,16 +1634,24 @@ app.get('/api/user/:id', authMiddleware, async (req, res) => {
 });
 
 // Обновление профиля
-app.put('/api/profile', authMiddleware, async (req, res) => {
+app.put('/api/profile', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
     const { nickname, birth_date, gender, city, avatar_url } = req.body;
     const userId = req.user.id;
+    // Аватар - своё загруженное изображение; прежний аватар можно передать без изменений
+    if (avatar_url && !(await UserProfile.exists({ user_id: userId, avatar_url })) &&
+        !(await resolveMediaUrl(userId, avatar_url, 'image')).ok) {
+      return res.status(400).json({ error: 'Неверный аватар' });
+    }
+    const screening = await screenContent(userId, 'profile', nickname);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
     const profile = await UserProfile.findOneAndUpdate(
       { user_id: userId },
-      { nickname, birth_date, gender, city, avatar_url },
+      { nickname: screening.text, birth_date, gender, city, avatar_url },
       { new: true }
     );
     if (!profile) return res.status(404).json({ error: 'Профиль не найден' });
+    await screening.record(profile._id);
     logger.info(`Профиль обновлён: ${userId}`);
     res.json(profile);
   } catch (err) {
@@ -370,17 +1660,54 @@ app.put('/api/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// Отклонённый запрос действует FRIEND_REQUEST_COOLDOWN_DAYS дней: отправитель видит его ожидающим
+// и не может отправить запрос тому же пользователю заново
+const FRIEND_REQUEST_COOLDOWN_DAYS = parseInt(process.env.FRIEND_REQUEST_COOLDOWN_DAYS) || 30;
+const friendRejectionCutoff = () => new Date(Date.now() - FRIEND_REQUEST_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+
 // Запрос на дружбу
-app.post('/friends/request', authMiddleware, async (req, res) => {
+app.post('/friends/request', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
     const { recipientId } = req.body;
     const requesterId = req.user.id;
+    if (!mongoose.isValidObjectId(recipientId)) return res.status(400).json({ error: 'Неверный ID' });
     if (requesterId === recipientId) return res.status(400).json({ error: 'Нельзя добавить себя' });
+
+    // Встречный запрос принимается автоматически
+    const reverse = await Friend.findOne({ requester: recipientId, recipient: requesterId });
+    if (reverse && reverse.status === 'accepted') return res.status(400).json({ error: 'Вы уже друзья' });
+    if (reverse && reverse.status === 'pending') {
+      reverse.status = 'accepted';
+      await reverse.save();
+      io.to(recipientId).emit('friend_accepted', { requestId: reverse._id, userId: requesterId });
+      logger.info(`Дружба принята встречным запросом: ${reverse._id}`);
+      return res.json({ message: 'Запрос принят', requestId: reverse._id });
+    }
+
+    if (!(await canSendFriendRequest(requesterId, recipientId))) {
+      return res.status(403).json({ error: 'Пользователь не принимает запросы в друзья' });
+    }
     const existing = await Friend.findOne({ requester: requesterId, recipient: recipientId });
-    if (existing) return res.status(400).json({ error: 'Запрос уже отправлен' });
-    await Friend.create({ requester: requesterId, recipient: recipientId });
+    if (existing && existing.status === 'accepted') return res.status(400).json({ error: 'Вы уже друзья' });
+    if (existing && (existing.status === 'pending' || existing.rejected_at > friendRejectionCutoff())) {
+      return res.status(409).json({ error: 'Запрос уже отправлен' });
+    }
+    // Отклонение старше FRIEND_REQUEST_COOLDOWN_DAYS и отклонённый встречный запрос не мешают новому
+    if (existing) await existing.deleteOne();
+    if (reverse) await reverse.deleteOne();
+
+    let friendRequest;
+    try {
+      friendRequest = await Friend.create({ requester: requesterId, recipient: recipientId });
+    } catch (err) {
+      // Параллельный запрос той же пары уже создан
+      if (err.code === 11000) return res.status(409).json({ error: 'Запрос уже отправлен' });
+      throw err;
+    }
+    const profile = await UserProfile.findOne({ user_id: requesterId });
+    io.to(recipientId).emit('friend_request', { requestId: friendRequest._id, userId: requesterId, profile });
     logger.info(`Запрос на дружбу: ${requesterId} -> ${recipientId}`);
-    res.status(201).json({ message: 'Запрос отправлен' });
+    res.status(201).json({ message: 'Запрос отправлен', requestId: friendRequest._id });
   } catch (err) {
     logger.error('Ошибка запроса на дружбу:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
@@ -388,14 +1715,17 @@ app.post('/friends/request', authMiddleware, async (req, res) => {
 });
 
 // Принятие дружбы
-app.post('/friends/accept', authMiddleware, async (req, res) => {
+app.post('/friends/accept', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
     const { requestId } = req.body;
     const userId = req.user.id;
+    if (!mongoose.isValidObjectId(requestId)) return res.status(400).json({ error: 'Неверный ID' });
     const friendRequest = await Friend.findById(requestId);
     if (!friendRequest || friendRequest.recipient.toString() !== userId) return res.status(403).json({ error: 'Недостаточно прав' });
+    if (friendRequest.status !== 'pending') return res.status(400).json({ error: 'Запрос уже обработан' });
     friendRequest.status = 'accepted';
     await friendRequest.save();
+    io.to(friendRequest.requester.toString()).emit('friend_accepted', { requestId: friendRequest._id, userId });
     logger.info(`Дружба принята: ${requestId}`);
     res.json({ message: 'Запрос принят' });
   } catch (err) {
@@ -404,8 +1734,86 @@ app.post('/friends/accept', authMiddleware, async (req, res) => {
   }
 });
 
+// Отклонение запроса на дружбу
+app.post('/friends/reject', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    const { requestId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(requestId)) return res.status(400).json({ error: 'Неверный ID' });
+    const friendRequest = await Friend.findById(requestId);
+    if (!friendRequest || friendRequest.recipient.toString() !== userId) return res.status(403).json({ error: 'Недостаточно прав' });
+    if (friendRequest.status !== 'pending') return res.status(400).json({ error: 'Запрос уже обработан' });
+    friendRequest.status = 'rejected';
+    friendRequest.rejected_at = new Date();
+    await friendRequest.save();
+    logger.info(`Запрос на дружбу отклонён: ${requestId}`);
+    res.json({ message: 'Запрос отклонён' });
+  } catch (err) {
+    logger.error('Ошибка отклонения запроса:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Отмена своего запроса на дружбу
+app.post('/friends/cancel', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    const { requestId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(requestId)) return res.status(400).json({ error: 'Неверный ID' });
+    const friendRequest = await Friend.findById(requestId);
+    if (!friendRequest || friendRequest.requester.toString() !== userId) return res.status(403).json({ error: 'Недостаточно прав' });
+    if (friendRequest.status !== 'pending') return res.status(400).json({ error: 'Запрос уже обработан' });
+    await friendRequest.deleteOne();
+    logger.info(`Запрос на дружбу отменён: ${requestId}`);
+    res.json({ message: 'Запрос отменён' });
+  } catch (err) {
+    logger.error('Ошибка отмены запроса:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Входящие запросы на дружбу
+app.get('/friends/requests/incoming', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    const requests = await Friend.find({ recipient: req.user.id, status: 'pending' }).sort({ created_at: -1 });
+    res.json(await withRequestProfiles(requests, 'requester'));
+  } catch (err) {
+    logger.error('Ошибка получения входящих запросов:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Исходящие запросы на дружбу (отклонённые показываются как ожидающие, пока действует отклонение)
+app.get('/friends/requests/outgoing', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    const requests = await Friend.find({
+      requester: req.user.id,
+      $or: [{ status: 'pending' }, { status: 'rejected', rejected_at: { $gt: friendRejectionCutoff() } }]
+    }).sort({ created_at: -1 });
+    res.json(await withRequestProfiles(requests, 'recipient'));
+  } catch (err) {
+    logger.error('Ошибка получения исходящих запросов:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Общие друзья
+app.get('/friends/mutual/:userId', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(400).json({ error: 'Неверный ID' });
+    const [myFriends, theirFriends] = await Promise.all([getFriendIds(req.user.id), getFriendIds(req.params.userId)]);
+    const theirSet = new Set(theirFriends.map(id => id.toString()));
+    const mutualIds = myFriends.filter(id => theirSet.has(id.toString()));
+    const profiles = await UserProfile.find({ user_id: { $in: mutualIds } });
+    res.json(profiles);
+  } catch (err) {
+    logger.error('Ошибка получения общих друзей:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
 // Удаление друга
-app.post('/friends/delete', authMiddleware, async (req, res) => {
+app.post('/friends/delete', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
     const { friendId } = req.body;
     const userId = req.user.id;
@@ -418,429 +1826,2275 @@ app.post('/friends/delete', authMiddleware, async (req, res) => {
     logger.info(`Друг удалён: ${userId} -> ${friendId}`);
     res.json({ message: 'Друг удалён' });
   } catch (err) {
-    logger.error('Ошибка удаления друга:', err);
+    logger.error('Ошибка удаления друга:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Создание поста
+app.post('/posts', authMiddleware, requireTier('trial'), postValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { content_type, content_url, content_text } = req.body;
+    const userId = req.user.id;
+    const { error, thumbnail_url } = await resolvePostMedia(userId, content_type, content_url);
+    if (error) return res.status(400).json({ error });
+    const screening = await screenContent(userId, 'post', content_text);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
+    const post = await Post.create({ user_id: userId, content_type, content_url, thumbnail_url, content_text: screening.text });
+    await screening.record(post._id);
+    logger.info(`Пост создан: ${post._id}`);
+    res.status(201).json(post);
+  } catch (err) {
+    logger.error('Ошибка создания поста:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Лента: окно для режима top и вес реакций
+const FEED_TOP_WINDOW_DAYS = 7;
+const FEED_REPOST_WEIGHT = 2;
+const FEED_GRAVITY = 1.5;
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+};
+
+const isValidDate = (value) => value !== null && value !== undefined && !Number.isNaN(new Date(value).getTime());
+
+// Курсор ленты: режим, позиция (оценка или время), ID записи и зафиксированное время первой страницы
+const isValidFeedCursor = (cursor, mode) => !!cursor && cursor.m === mode && mongoose.isValidObjectId(cursor.id) &&
+  Number.isFinite(cursor.now) && (mode === 'top' ? Number.isFinite(cursor.v) : isValidDate(cursor.v));
+
+// Агрегация ленты: посты и репосты авторов, одна страница после курсора
+const buildFeedPipeline = ({ viewerId, authorIds, blockedIds, mode, now, cursor, limit }) => {
+  const since = mode === 'top' ? new Date(now - FEED_TOP_WINDOW_DAYS * 24 * 60 * 60 * 1000) : null;
+  const windowMatch = since ? { created_at: { $gte: since } } : {};
+  const pipeline = [
+    { $match: { user_id: { $in: authorIds }, deleted_at: null, ...windowMatch } },
+    { $project: { type: { $literal: 'post' }, post_id: '$_id', actor_id: '$user_id', feed_at: '$created_at' } },
+    {
+      $unionWith: {
+        coll: Repost.collection.name,
+        pipeline: [
+          { $match: { user_id: { $in: authorIds }, ...windowMatch } },
+          { $project: { type: { $literal: 'repost' }, post_id: '$post_id', actor_id: '$user_id', feed_at: '$created_at' } }
+        ]
+      }
+    },
+    { $lookup: { from: Post.collection.name, localField: 'post_id', foreignField: '_id', as: 'post' } },
+    { $unwind: '$post' },
+    { $match: { 'post.user_id': { $nin: blockedIds }, 'post.deleted_at': null } },
+    {
+      $addFields: {
+        likes_count: { $size: '$post.likes' },
+        reposts_count: { $size: '$post.reposts' },
+        liked: { $in: [viewerId, '$post.likes'] },
+        reposted: { $in: [viewerId, '$post.reposts'] }
+      }
+    }
+  ];
+
+  let sortField = 'feed_at';
+  if (mode === 'top') {
+    sortField = 'score';
+    const ageHours = { $divide: [{ $subtract: [now, '$feed_at'] }, 60 * 60 * 1000] };
+    pipeline.push({
+      $addFields: {
+        score: {
+          $divide: [
+            { $add: [1, '$likes_count', { $multiply: [FEED_REPOST_WEIGHT, '$reposts_count'] }] },
+            { $pow: [{ $add: [{ $max: [ageHours, 0] }, 2] }, FEED_GRAVITY] }
+          ]
+        }
+      }
+    });
+  }
+  if (cursor) {
+    const value = mode === 'top' ? cursor.v : new Date(cursor.v);
+    pipeline.push({
+      $match: {
+        $or: [
+          { [sortField]: { $lt: value } },
+          { [sortField]: value, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } }
+        ]
+      }
+    });
+  }
+  pipeline.push(
+    { $sort: { [sortField]: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: { 'post.likes': 0, 'post.reposts': 0, 'post.edit_history': 0 } }
+  );
+  return pipeline;
+};
+
+// Получение ленты
+app.get('/news', authMiddleware, requireTier('trial'), feedValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const userId = req.user.id;
+    const mode = req.query.mode || 'latest';
+    const limit = parseInt(req.query.limit) || 20;
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!isValidFeedCursor(cursor, mode)) return res.status(400).json({ error: 'Неверный курсор' });
+    }
+    // В режиме top время фиксируется курсором, чтобы оценки не менялись между страницами
+    const now = cursor ? new Date(cursor.now) : new Date();
+
+    const [friendIds, blockedIds] = await Promise.all([getFriendIds(userId), getBlockedUserIds(userId)]);
+    friendIds.push(userId);
+    const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+    const items = await Post.aggregate(buildFeedPipeline({
+      viewerId: toObjectId(userId),
+      authorIds: friendIds.map(toObjectId).filter(id => !blockedIds.some(b => b.equals(id))),
+      blockedIds: blockedIds.map(toObjectId),
+      mode,
+      now,
+      cursor,
+      limit
+    }));
+
+    const profileMap = await getProfileMap(items.flatMap(item => [item.actor_id, item.post.user_id]));
+    const feed = items.map(item => ({
+      type: item.type,
+      feed_at: item.feed_at,
+      post: item.post,
+      author: profileMap.get(item.post.user_id.toString()) || null,
+      reposted_by: item.type === 'repost' ? profileMap.get(item.actor_id.toString()) || null : null,
+      likes_count: item.likes_count,
+      reposts_count: item.reposts_count,
+      comments_count: item.post.comments_count || 0,
+      liked: item.liked,
+      reposted: item.reposted,
+      ...(mode === 'top' ? { score: item.score } : {})
+    }));
+
+    let nextCursor = null;
+    if (items.length === limit) {
+      const last = items[items.length - 1];
+      nextCursor = encodeCursor({ m: mode, v: mode === 'top' ? last.score : last.feed_at, id: last._id, now: now.getTime() });
+    }
+    res.json({ items: feed, nextCursor });
+  } catch (err) {
+    logger.error('Ошибка получения ленты:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Получение друзей
+app.get('/friends', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const friendIds = await getFriendIds(userId);
+    const friendProfiles = await UserProfile.find({ user_id: { $in: friendIds } });
+    res.json(friendProfiles);
+  } catch (err) {
+    logger.error('Ошибка получения друзей:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Блокировка пользователя
+app.post('/blocks', authMiddleware, blockValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { userId: blockedId } = req.body;
+    const userId = req.user.id;
+    if (blockedId === userId) return res.status(400).json({ error: 'Нельзя заблокировать себя' });
+    await Block.updateOne(
+      { blocker: userId, blocked: blockedId },
+      { $setOnInsert: { created_at: new Date() } },
+      { upsert: true }
+    );
+    // Блокировка разрывает дружбу и отменяет запросы в обе стороны
+    await Friend.deleteMany({
+      $or: [
+        { requester: userId, recipient: blockedId },
+        { requester: blockedId, recipient: userId }
+      ]
+    });
+    logger.info(`Пользователь заблокирован: ${userId} -> ${blockedId}`);
+    res.status(201).json({ message: 'Пользователь заблокирован' });
+  } catch (err) {
+    logger.error('Ошибка блокировки:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Разблокировка пользователя
+app.delete('/blocks/:userId', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(400).json({ error: 'Неверный ID' });
+    const userId = req.user.id;
+    const result = await Block.deleteOne({ blocker: userId, blocked: req.params.userId });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Блокировка не найдена' });
+    logger.info(`Пользователь разблокирован: ${userId} -> ${req.params.userId}`);
+    res.json({ message: 'Пользователь разблокирован' });
+  } catch (err) {
+    logger.error('Ошибка разблокировки:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Список заблокированных
+app.get('/blocks', authMiddleware, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user.id }).sort({ created_at: -1 });
+    const profiles = await UserProfile.find({ user_id: { $in: blocks.map(b => b.blocked) } });
+    res.json(profiles);
+  } catch (err) {
+    logger.error('Ошибка получения блокировок:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Получение настроек приватности
+app.get('/api/privacy', authMiddleware, async (req, res) => {
+  try {
+    const profile = await UserProfile.findOne({ user_id: req.user.id });
+    if (!profile) return res.status(404).json({ error: 'Профиль не найден' });
+    res.json(profile.privacy);
+  } catch (err) {
+    logger.error('Ошибка получения приватности:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Обновление настроек приватности
+app.put('/api/privacy', authMiddleware, privacyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const update = {};
+    if (req.body.messages) update['privacy.messages'] = req.body.messages;
+    if (req.body.friend_requests) update['privacy.friend_requests'] = req.body.friend_requests;
+    const profile = await UserProfile.findOneAndUpdate({ user_id: req.user.id }, { $set: update }, { new: true });
+    if (!profile) return res.status(404).json({ error: 'Профиль не найден' });
+    logger.info(`Приватность обновлена: ${req.user.id}`);
+    res.json(profile.privacy);
+  } catch (err) {
+    logger.error('Ошибка обновления приватности:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Сохранение личного сообщения и доставка получателю через сокет
+async function sendDirectMessage(senderId, receiverId, text) {
+  const online = await io.in(receiverId.toString()).fetchSockets();
+  const now = new Date();
+  const message = await Message.create({
+    sender_id: senderId,
+    receiver_id: receiverId,
+    message_text: text,
+    created_at: now,
+    delivered_at: online.length ? now : undefined
+  });
+  io.to(receiverId.toString()).emit('message', message);
+  logger.info(`Сообщение отправлено: ${message._id}`);
+  return message;
+}
+
+// Уведомление отправителей о смене статуса их сообщений
+function notifyMessageStatus(event, messages, field, at, byUserId) {
+  const bySender = {};
+  for (const m of messages) {
+    const senderId = m.sender_id.toString();
+    (bySender[senderId] = bySender[senderId] || []).push(m._id);
+  }
+  for (const [senderId, messageIds] of Object.entries(bySender)) {
+    io.to(senderId).emit(event, { userId: byUserId, messageIds, [field]: at });
+  }
+}
+
+// Отметка недоставленных входящих сообщений как доставленных
+async function markMessagesDelivered(userId) {
+  const pending = await Message.find({ receiver_id: userId, delivered_at: null }).select('_id sender_id');
+  if (!pending.length) return;
+  const now = new Date();
+  await Message.updateMany({ _id: { $in: pending.map(m => m._id) } }, { delivered_at: now });
+  notifyMessageStatus('messages_delivered', pending, 'delivered_at', now, userId);
+}
+
+// Отметка сообщений собеседника как прочитанных
+async function markMessagesRead(userId, friendId) {
+  const unread = await Message.find({ sender_id: friendId, receiver_id: userId, read_at: null }).select('_id sender_id');
+  if (!unread.length) return [];
+  const now = new Date();
+  await Message.updateMany(
+    { _id: { $in: unread.map(m => m._id) } },
+    [{ $set: { read_at: now, delivered_at: { $ifNull: ['$delivered_at', now] } } }]
+  );
+  notifyMessageStatus('messages_read', unread, 'read_at', now, userId);
+  return unread.map(m => m._id);
+}
+
+// Список диалогов с последним сообщением и числом непрочитанных
+app.get('/messages', authMiddleware, requireTier('trial'), messageHistoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const limit = parseInt(req.query.limit) || 20;
+    const pipeline = [
+      { $match: { $or: [{ sender_id: userId }, { receiver_id: userId }] } },
+      { $sort: { created_at: -1 } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$sender_id', userId] }, '$receiver_id', '$sender_id'] },
+          last_message: { $first: '$$ROOT' },
+          unread_count: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$receiver_id', userId] }, { $eq: [{ $ifNull: ['$read_at', null] }, null] }] }, 1, 0]
+            }
+          }
+        }
+      }
+    ];
+    if (req.query.before) pipeline.push({ $match: { 'last_message.created_at': { $lt: new Date(req.query.before) } } });
+    pipeline.push({ $sort: { 'last_message.created_at': -1 } }, { $limit: limit });
+
+    const conversations = await Message.aggregate(pipeline);
+    const profiles = await UserProfile.find({ user_id: { $in: conversations.map(c => c._id) } });
+    const profileMap = new Map(profiles.map(p => [p.user_id.toString(), p]));
+    const result = conversations.map(c => ({
+      userId: c._id,
+      profile: profileMap.get(c._id.toString()) || null,
+      lastMessage: c.last_message,
+      unreadCount: c.unread_count
+    }));
+    const nextCursor = result.length === limit ? result[result.length - 1].lastMessage.created_at : null;
+    res.json({ conversations: result, nextCursor });
+  } catch (err) {
+    logger.error('Ошибка получения диалогов:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// История сообщений с собеседником
+app.get('/messages/:friendId', authMiddleware, requireTier('trial'), messageHistoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.friendId)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const userId = req.user.id;
+    const { friendId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {
+      $or: [
+        { sender_id: userId, receiver_id: friendId },
+        { sender_id: friendId, receiver_id: userId }
+      ]
+    };
+    if (req.query.before) query.created_at = { $lt: new Date(req.query.before) };
+
+    const messages = await Message.find(query).sort({ created_at: -1, _id: -1 }).limit(limit);
+    const nextCursor = messages.length === limit ? messages[messages.length - 1].created_at : null;
+    res.json({ messages: messages.reverse(), nextCursor });
+  } catch (err) {
+    logger.error('Ошибка получения истории сообщений:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Отправка сообщения через REST
+app.post('/messages', authMiddleware, requireTier('trial'), messageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { receiverId, messageText } = req.body;
+    const userId = req.user.id;
+    if (receiverId === userId) return res.status(400).json({ error: 'Нельзя написать себе' });
+    if (!(await canMessage(userId, receiverId))) {
+      return res.status(403).json({ error: 'Вы не можете отправлять сообщения этому пользователю' });
+    }
+    const screening = await screenContent(userId, 'message', messageText);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
+    const message = await sendDirectMessage(userId, receiverId, screening.text);
+    await screening.record(message._id);
+    res.status(201).json({ message: 'Сообщение отправлено', data: message });
+  } catch (err) {
+    logger.error('Ошибка отправки сообщения:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Отметка диалога прочитанным
+app.post('/messages/:friendId/read', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.friendId)) return res.status(400).json({ error: 'Неверный ID' });
+    const messageIds = await markMessagesRead(req.user.id, req.params.friendId);
+    res.json({ message: 'Сообщения прочитаны', messageIds });
+  } catch (err) {
+    logger.error('Ошибка отметки прочтения:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Подписки: срок напоминания; льготный период задаёт services/entitlements
+const SUBSCRIPTION_REMINDER_DAYS = parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS ?? '3');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Активация или продление подписки по оплаченной транзакции
+async function activateSubscription(userId, planId, transactionId, autoRenew, existing) {
+  const plan = SUBSCRIPTION_PLANS[planId];
+  const now = new Date();
+  // Повторное исполнение того же заказа не продлевает подписку второй раз
+  const applied = await Subscription.findOne({
+    $or: [{ transaction_id: transactionId }, { 'renewals.transaction_id': transactionId }]
+  });
+  if (applied) return applied;
+  const current = existing || await findCurrentSubscription(userId);
+  if (current) {
+    // Продление: срок прибавляется к текущему окончанию, если оно ещё не наступило
+    const base = current.end_date > now ? current.end_date : now;
+    current.end_date = new Date(base.getTime() + plan.duration_days * DAY_MS);
+    current.status = 'active';
+    current.grace_until = undefined;
+    current.reminder_sent_at = undefined;
+    current.plan = planId;
+    if (autoRenew !== undefined) current.auto_renew = autoRenew;
+    current.renewals.push({ transaction_id: transactionId, plan: planId, end_date: current.end_date });
+    await current.save();
+    logger.info(`Подписка продлена: ${current._id} до ${current.end_date.toISOString()}`);
+    return current;
+  }
+  const subscription = await Subscription.create({
+    user_id: userId,
+    transaction_id: transactionId,
+    plan: planId,
+    start_date: now,
+    end_date: new Date(now.getTime() + plan.duration_days * DAY_MS),
+    auto_renew: !!autoRenew
+  });
+  logger.info(`Подписка активирована: ${subscription._id} для ${userId}`);
+  return subscription;
+}
+
+// Оплата подписки с баланса CP; списание проводкой книги, баланс не уходит в минус
+async function purchaseSubscriptionWithPoints(userId, planId, autoRenew, existing) {
+  const plan = SUBSCRIPTION_PLANS[planId];
+  const order = await orders.create({
+    user_id: userId,
+    type: 'subscription_purchase',
+    amount: plan.price_cp,
+    currency: 'CP',
+    payment_method: 'CP_BALANCE',
+    plan: planId
+  });
+  try {
+    await ledger.debit(userId, plan.price_cp, {
+      key: `transaction:${order._id}`,
+      reason: 'subscription_purchase',
+      refType: 'Transaction',
+      refId: order._id
+    });
+  } catch (err) {
+    await orders.transition(order._id, 'expired', { from: 'created', note: err.message });
+    if (err instanceof InsufficientFundsError) return null;
+    throw err;
+  }
+  await orders.transition(order._id, 'paid', { from: 'created', set: { paid_at: new Date() } });
+  const subscription = await activateSubscription(userId, planId, order._id, autoRenew, existing);
+  await orders.transition(order._id, 'credited', { from: 'paid', set: { credited_at: new Date() } });
+  return subscription;
+}
+
+// Исполнение оплаченной транзакции: начисление CP или активация подписки
+async function fulfillTransaction(transaction) {
+  if (transaction.type === 'subscription_purchase') {
+    await activateSubscription(transaction.user_id, transaction.plan, transaction._id);
+    const entitlements = await getEntitlements(transaction.user_id);
+    await syncProfileAccessType(transaction.user_id, entitlements);
+    return;
+  }
+  const points = transaction.amount * 100;
+  const { created } = await ledger.credit(transaction.user_id, points, {
+    key: `transaction:${transaction._id}`,
+    reason: 'points_purchase',
+    refType: 'Transaction',
+    refId: transaction._id,
+    from: SYSTEM_ACCOUNTS.payments
+  });
+  if (created) logger.info(`CP начислены через ${transaction.payment_method}: ${points} для ${transaction.user_id}`);
+}
+
+// Тарифы подписки
+app.get('/subscriptions/plans', (req, res) => {
+  res.json(Object.entries(SUBSCRIPTION_PLANS).map(([id, plan]) => ({ id, ...plan })));
+});
+
+// Получение подписки
+app.get('/subscriptions', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const subscription = await findCurrentSubscription(userId);
+    if (!subscription) return res.status(404).json({ error: 'Активная подписка не найдена' });
+    // Статус на текущий момент, не дожидаясь фоновой обработки
+    res.json({ ...subscription.toObject(), ...subscriptionState(subscription) });
+  } catch (err) {
+    logger.error('Ошибка получения подписки:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Покупка или продление подписки
+app.post('/subscriptions/purchase', authMiddleware, requireVerifiedEmail, subscriptionPurchaseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { plan: planId, payment_method, auto_renew } = req.body;
+    const userId = req.user.id;
+    const plan = SUBSCRIPTION_PLANS[planId];
+
+    if (payment_method === 'CP') {
+      const subscription = await purchaseSubscriptionWithPoints(userId, planId, auto_renew);
+      if (!subscription) return res.status(402).json({ error: 'Недостаточно CP', price_cp: plan.price_cp });
+      const entitlements = await getEntitlements(userId);
+      await syncProfileAccessType(userId, entitlements);
+      return res.status(201).json({ message: 'Подписка оформлена', subscription });
+    }
+    if (!orders.getProvider(payment_method)) return res.status(503).json({ error: 'Способ оплаты недоступен' });
+
+    const { order, payment } = await orders.createOrder({
+      user_id: userId,
+      type: 'subscription_purchase',
+      amount: plan.price_usdt,
+      payment_method,
+      plan: planId,
+      verification_code: generateVerificationCode()
+    }, `CHOIZZE subscription: ${plan.name}`);
+    logger.info(`Оплата подписки инициирована: ${order._id} (${payment_method})`);
+    sendPayment(res, order, payment);
+  } catch (err) {
+    logger.error('Ошибка покупки подписки:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Включение и отключение автопродления с баланса CP
+app.put('/subscriptions/auto-renew', authMiddleware, autoRenewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const subscription = await findCurrentSubscription(req.user.id);
+    if (!subscription) return res.status(404).json({ error: 'Активная подписка не найдена' });
+    subscription.auto_renew = req.body.enabled === true || req.body.enabled === 'true';
+    await subscription.save();
+    res.json(subscription);
+  } catch (err) {
+    logger.error('Ошибка изменения автопродления:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Фоновая обработка подписок: напоминания, автопродление, льготный период и истечение
+async function processSubscriptions() {
+  try {
+    const now = new Date();
+
+    const expiringSoon = await Subscription.find({
+      status: 'active',
+      reminder_sent_at: null,
+      end_date: { $gt: now, $lte: new Date(now.getTime() + SUBSCRIPTION_REMINDER_DAYS * DAY_MS) }
+    });
+    for (const subscription of expiringSoon) {
+      io.to(subscription.user_id.toString()).emit('subscription_expiring', {
+        subscriptionId: subscription._id,
+        end_date: subscription.end_date,
+        auto_renew: subscription.auto_renew
+      });
+      await Subscription.updateOne({ _id: subscription._id }, { reminder_sent_at: now });
+      logger.info(`Напоминание об окончании подписки: ${subscription._id}`);
+    }
+
+    const ended = await Subscription.find({ status: 'active', end_date: { $lte: now } });
+    const expiredUserIds = [];
+    for (const subscription of ended) {
+      const userId = subscription.user_id.toString();
+      if (subscription.auto_renew && SUBSCRIPTION_PLANS[subscription.plan]) {
+        const renewed = await purchaseSubscriptionWithPoints(userId, subscription.plan, true, subscription);
+        if (renewed) {
+          io.to(userId).emit('subscription_renewed', { subscriptionId: renewed._id, end_date: renewed.end_date });
+          continue;
+        }
+      }
+      const graceUntil = new Date(subscription.end_date.getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS);
+      if (graceUntil > now) {
+        await Subscription.updateOne({ _id: subscription._id, status: 'active' }, { status: 'grace', grace_until: graceUntil });
+        io.to(userId).emit('subscription_grace', { subscriptionId: subscription._id, grace_until: graceUntil });
+        logger.info(`Подписка в льготном периоде: ${subscription._id} до ${graceUntil.toISOString()}`);
+      } else {
+        await Subscription.updateOne({ _id: subscription._id, status: 'active' }, { status: 'expired' });
+        expiredUserIds.push(subscription.user_id);
+      }
+    }
+
+    const graceOver = await Subscription.find({ status: 'grace', grace_until: { $lte: now } });
+    for (const subscription of graceOver) {
+      await Subscription.updateOne({ _id: subscription._id, status: 'grace' }, { status: 'expired' });
+      expiredUserIds.push(subscription.user_id);
+    }
+
+    // Понижение уровня доступа у всех, чья подписка закончилась
+    for (const userId of expiredUserIds) {
+      const entitlements = await getEntitlements(userId);
+      await syncProfileAccessType(userId, entitlements);
+      io.to(userId.toString()).emit('subscription_expired', { tier: entitlements.tier });
+      logger.info(`Подписка истекла: ${userId}, уровень доступа ${entitlements.tier}`);
+    }
+  } catch (err) {
+    logger.error('Ошибка обработки подписок:', err);
+  }
+}
+
+setInterval(processSubscriptions, 10 * 60 * 1000);
+
+// Покупка CP через провайдера: заказ создаётся в общей модели, ответ - данные для оплаты
+const initiatePointsPurchase = (provider) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    if (!orders.getProvider(provider)) return res.status(503).json({ error: 'Способ оплаты недоступен' });
+
+    const { amount } = req.body;
+    const { order, payment } = await orders.createOrder({
+      user_id: req.user.id,
+      type: 'points_purchase',
+      amount,
+      payment_method: provider,
+      verification_code: generateVerificationCode()
+    }, `Purchase of ${amount} CHOIZZE Points`);
+
+    logger.info(`${provider} платёж инициирован: ${order._id}`);
+    sendPayment(res, order, payment);
+  } catch (err) {
+    logger.error(`Ошибка инициирования ${provider}:`, err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+};
+
+app.post('/exchange/initiate', authMiddleware, requireVerifiedEmail, paymentValidation, initiatePointsPurchase('BESTCHANGE'));
+app.post('/faucetpay/initiate', authMiddleware, requireVerifiedEmail, paymentValidation, initiatePointsPurchase('FAUCETPAY'));
+app.post('/payeer/initiate', authMiddleware, requireVerifiedEmail, paymentValidation, initiatePointsPurchase('PAYEER'));
+
+// Уведомления провайдеров об оплате. Старые адреса FaucetPay и Payeer сохранены
+app.post('/faucetpay/callback', orders.callbackHandler('FAUCETPAY'));
+app.post('/payeer_webhook', orders.callbackHandler('PAYEER'));
+app.post('/payments/:provider/callback', (req, res) => {
+  const provider = orders.getProvider(req.params.provider.toUpperCase());
+  if (!provider || !provider.verifyCallback) return res.status(404).json({ error: 'Провайдер не найден' });
+  orders.callbackHandler(provider.name)(req, res);
+});
+
+// Сверка оплат у провайдеров (переводы USDT для BestChange) и исполнение зависших заказов
+setInterval(() => orders.reconcileAll().catch(err => logger.error('Ошибка сверки платежей:', err)), 60000);
+
+// Истечение заказов, которые не оплатили за PAYMENT_ORDER_TTL_HOURS, у всех провайдеров
+async function expirePendingOrders() {
+  try {
+    const expired = await orders.expireStale(PAYMENT_ORDER_TTL_MS);
+    if (expired) logger.info(`Заказы истекли без оплаты: ${expired}`);
+  } catch (err) {
+    logger.error('Ошибка истечения заказов:', err);
+  }
+}
+
+setInterval(expirePendingOrders, 10 * 60 * 1000);
+
+// Адрес пользователя для оплаты USDT TRC-20
+app.get('/me/deposit-address', authMiddleware, async (req, res) => {
+  try {
+    const deposit = await bestChange.getDepositAddress(req.user.id);
+    res.json({ address: deposit.address, shared: deposit.shared });
+  } catch (err) {
+    logger.error('Ошибка выдачи адреса для депозитов:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// План сбора средств: адреса для депозитов с балансом USDT и запас TRX на комиссию перевода.
+// Балансы запрашиваются в TronGrid по одному адресу, поэтому план строится страницами по номеру адреса
+const SWEEP_MIN_TRX = parseFloat(process.env.SWEEP_MIN_TRX) || 30;
+
+app.get('/moderator/deposits/sweep', authMiddleware, requirePermission('deposits:read'), sweepReportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const minAmount = toTokenUnits(parseFloat(req.query.min_usdt) || 0);
+    const limit = parseInt(req.query.limit) || 50;
+    const query = req.query.after !== undefined ? { index: { $gt: parseInt(req.query.after) } } : {};
+    const deposits = await DepositAddress.find(query).sort({ index: 1 }).limit(limit);
+    const addresses = [];
+    let total = 0;
+    for (const deposit of deposits) {
+      const balances = await tronClient.getBalances(deposit.address);
+      if (!balances.token || balances.token < minAmount) continue;
+      total += balances.token;
+      const trx = balances.trx / 1e6;
+      addresses.push({
+        address: deposit.address,
+        user_id: deposit.user_id,
+        derivation_path: deposit.derivation_path,
+        usdt: fromTokenUnits(balances.token),
+        trx,
+        needs_trx: trx < SWEEP_MIN_TRX
+      });
+    }
+    res.json({
+      destination: process.env.USDT_WALLET,
+      total_usdt: fromTokenUnits(total),
+      addresses,
+      nextCursor: deposits.length === limit ? deposits[deposits.length - 1].index : null
+    });
+  } catch (err) {
+    logger.error('Ошибка построения плана сбора средств:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Запись ручного действия модератора в журнал
+const recordAudit = (actorId, action, target, reason, details) => AuditLog.create({
+  actor_id: actorId,
+  action,
+  target_type: target.type,
+  target_id: target.id,
+  reason,
+  details
+});
+
+// Заказы для разбора модератором: фильтры по статусу, провайдеру и дате создания
+app.get('/moderator/payments', authMiddleware, requirePermission('payments:read'), paymentListValidation, pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { status, provider, from, to, before } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.payment_method = provider;
+    if (from || to || before) {
+      query.created_at = {};
+      if (from) query.created_at.$gte = new Date(from);
+      if (to) query.created_at.$lte = new Date(to);
+      if (before) query.created_at.$lt = new Date(before);
+    }
+    const transactions = await Transaction.find(query).sort({ created_at: -1 }).limit(limit);
+    res.json({
+      transactions,
+      nextCursor: transactions.length === limit ? transactions[transactions.length - 1].created_at : null
+    });
+  } catch (err) {
+    logger.error('Ошибка получения списка платежей:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Отчёт сверки: наши заказы против переводов в сети, уведомлений провайдеров и выгрузок истории Payeer
+app.get('/moderator/payments/reconciliation.csv', authMiddleware, requirePermission('payments:read'), paymentListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const period = {};
+    if (req.query.from) period.$gte = new Date(req.query.from);
+    if (req.query.to) period.$lte = new Date(req.query.to);
+    const created = Object.keys(period).length ? { created_at: period } : {};
+    const [orderList, chainTransfers, callbacks, payeerHistory] = await Promise.all([
+      Transaction.find({ ...created, payment_method: { $ne: 'CP_BALANCE' } }).sort({ created_at: 1 }),
+      ChainTransfer.find(created),
+      PaymentCallback.find({ ...created, result: 'accepted' }),
+      loadPayeerHistory(process.env.PAYEER_HISTORY_DIR || path.join(__dirname, 'downloads'))
+    ]);
+    const rows = buildReconciliationRows({ orders: orderList, chainTransfers, callbacks, payeerHistory, fromTokenUnits });
+    logger.info(`Отчёт сверки выгружен модератором ${req.user.id}: ${rows.length} строк`);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`reconciliation_${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(toCsv(rows));
+  } catch (err) {
+    logger.error('Ошибка построения отчёта сверки:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Заказ со всеми данными провайдера: уведомления как есть, переводы в сети, проводки CP и ручные действия
+app.get('/moderator/payments/:id', authMiddleware, requirePermission('payments:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) return res.status(404).json({ error: 'Транзакция не найдена' });
+    const [callbacks, chainTransfers, ledgerTransactions, audit] = await Promise.all([
+      PaymentCallback.find({ order_id: transaction._id }).sort({ created_at: 1 }),
+      ChainTransfer.find({ transaction_id: transaction._id }),
+      LedgerTransaction.find({ ref_id: transaction._id }).sort({ created_at: 1 }),
+      AuditLog.find({ target_type: 'Transaction', target_id: transaction._id }).sort({ created_at: 1 })
+    ]);
+    res.json({ transaction, callbacks, chainTransfers, ledgerTransactions, audit });
+  } catch (err) {
+    logger.error('Ошибка получения платежа:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Ручное решение по зависшему заказу: paid исполняет заказ как подтверждённую оплату (заказ, оставшийся
+// в paid без исполнения, исполняется повторно), failed переводит открытый заказ в expired
+app.post('/moderator/payments/:id/resolve', authMiddleware, requirePermission('payments:resolve'), paymentResolveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const { status } = req.body;
+    const reason = req.body.reason.trim();
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) return res.status(404).json({ error: 'Транзакция не найдена' });
+    // Оплата с баланса CP проходит только списанием по книге, вручную её не подтвердить
+    if (status === 'paid' && transaction.payment_method === 'CP_BALANCE') {
+      return res.status(400).json({ error: 'Заказ с оплатой CP нельзя отметить оплаченным вручную' });
+    }
+    const note = `Вручную (${req.user.id}): ${reason}`;
+    let updated;
+    if (status === 'failed') updated = await orders.transition(transaction._id, 'expired', { from: OPEN_STATES, note });
+    else if (transaction.status === 'paid') updated = await orders.credit(transaction);
+    else updated = await orders.markPaid(transaction._id, { note });
+    if (!updated) return res.status(409).json({ error: `Переход из статуса ${transaction.status} невозможен`, status: transaction.status });
+
+    await recordAudit(req.user.id, `payment_mark_${status}`, { type: 'Transaction', id: transaction._id }, reason, {
+      from: transaction.status,
+      to: updated.status
+    });
+    logger.info(`Платёж ${transaction._id} вручную: ${transaction.status} -> ${updated.status} (модератор ${req.user.id})`);
+    res.json({ message: 'Статус платежа изменён', transaction: updated });
+  } catch (err) {
+    logger.error('Ошибка ручного изменения платежа:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Возврат оплаты подписки в CP: начисление проводкой из счёта возвратов, срок подписки сокращается на оплаченный период
+app.post('/moderator/payments/:id/refund', authMiddleware, requirePermission('payments:refund'), paymentRefundValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const reason = req.body.reason.trim();
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) return res.status(404).json({ error: 'Транзакция не найдена' });
+    if (transaction.type !== 'subscription_purchase') return res.status(400).json({ error: 'Возврат в CP доступен только для подписок' });
+    if (transaction.status !== 'credited') return res.status(409).json({ error: 'Возврат возможен только для исполненного заказа', status: transaction.status });
+
+    const points = transaction.currency === 'CP' ? transaction.amount : Math.round(transaction.amount * 100);
+    // Ключ проводки не даёт вернуть CP дважды, даже если переход в refunded не состоялся
+    await ledger.credit(transaction.user_id, points, {
+      key: `refund:${transaction._id}`,
+      reason: 'refund',
+      refType: 'Transaction',
+      refId: transaction._id,
+      from: SYSTEM_ACCOUNTS.refunds
+    });
+    const refunded = await orders.transition(transaction._id, 'refunded', { from: 'credited', note: `Возврат (${req.user.id}): ${reason}` });
+    if (!refunded) return res.status(409).json({ error: 'Заказ уже возвращён' });
+
+    const plan = SUBSCRIPTION_PLANS[transaction.plan];
+    const subscription = await Subscription.findOne({
+      $or: [{ transaction_id: transaction._id }, { 'renewals.transaction_id': transaction._id }]
+    });
+    if (subscription && plan) {
+      const now = new Date();
+      subscription.end_date = new Date(subscription.end_date.getTime() - plan.duration_days * DAY_MS);
+      if (subscription.end_date <= now) {
+        subscription.status = 'expired';
+        subscription.auto_renew = false;
+      }
+      await subscription.save();
+      const entitlements = await getEntitlements(transaction.user_id);
+      await syncProfileAccessType(transaction.user_id, entitlements);
+    }
+
+    await recordAudit(req.user.id, 'payment_refund', { type: 'Transaction', id: transaction._id }, reason, {
+      points,
+      subscription_id: subscription && subscription._id,
+      subscription_end_date: subscription && subscription.end_date
+    });
+    io.to(transaction.user_id.toString()).emit('payment_refunded', { transactionId: transaction._id, points });
+    logger.info(`Возврат по заказу ${transaction._id}: ${points} CP (модератор ${req.user.id})`);
+    res.json({ message: 'Возврат выполнен', transaction: refunded, points, subscription });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) return res.status(404).json({ error: err.message });
+    logger.error('Ошибка возврата платежа:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Журнал ручных действий
+app.get('/moderator/audit', authMiddleware, requirePermission('audit:read'), auditListValidation, pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {};
+    if (req.query.before) query.created_at = { $lt: new Date(req.query.before) };
+    if (req.query.target_id) query.target_id = req.query.target_id;
+    const entries = await AuditLog.find(query).sort({ created_at: -1 }).limit(limit);
+    res.json({ entries, nextCursor: entries.length === limit ? entries[entries.length - 1].created_at : null });
+  } catch (err) {
+    logger.error('Ошибка получения журнала действий:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Роли и их права
+app.get('/admin/roles', authMiddleware, requirePermission('roles:manage'), (req, res) => {
+  res.json(Object.entries(ROLES).map(([role, permissions]) => ({ role, permissions })));
+});
+
+// Пользователи с ролью выше user
+app.get('/admin/staff', authMiddleware, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const staff = await UserStats.find({ role: { $ne: 'user' } }).select('user_id role');
+    const users = await User.find({ _id: { $in: staff.map(s => s.user_id) } }).select('username email');
+    const userMap = new Map(users.map(u => [u._id.toString(), u]));
+    res.json(staff.map(s => {
+      const user = userMap.get(s.user_id.toString());
+      return { user_id: s.user_id, username: user && user.username, email: user && user.email, role: s.role };
+    }));
+  } catch (err) {
+    logger.error('Ошибка получения списка ролей:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Назначение роли пользователю; последнего администратора понизить нельзя
+app.put('/admin/users/:id/role', authMiddleware, requirePermission('roles:manage'), roleAssignValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const { role } = req.body;
+    const reason = req.body.reason.trim();
+    const stats = await UserStats.findOne({ user_id: req.params.id });
+    if (!stats) return res.status(404).json({ error: 'Пользователь не найден' });
+    if (stats.role === role) return res.json({ message: 'Роль не изменилась', user_id: stats.user_id, role });
+    if (stats.role === 'admin' && !(await UserStats.exists({ role: 'admin', _id: { $ne: stats._id } }))) {
+      return res.status(409).json({ error: 'Нельзя снять роль с последнего администратора' });
+    }
+
+    const previous = stats.role;
+    const updated = await UserStats.findOneAndUpdate({ _id: stats._id, role: previous }, { role }, { new: true });
+    if (!updated) return res.status(409).json({ error: 'Роль изменена параллельно, повторите запрос' });
+    await recordAudit(req.user.id, 'role_assign', { type: 'User', id: stats.user_id }, reason, { from: previous, to: role });
+    logger.info(`Роль пользователя ${stats.user_id}: ${previous} -> ${role} (администратор ${req.user.id})`);
+    res.json({ message: 'Роль назначена', user_id: stats.user_id, role });
+  } catch (err) {
+    logger.error('Ошибка назначения роли:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Создание репорта
+app.post('/reports', authMiddleware, requireVerifiedEmail, reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { comment_id, report_reason } = req.body;
+    let { reported_id } = req.body;
+    const reporter_id = req.user.id;
+    if (!reported_id && !comment_id) return res.status(400).json({ error: 'Укажите пользователя или комментарий' });
+    // Жалоба на комментарий адресуется его автору
+    if (comment_id) {
+      const comment = await Comment.findById(comment_id);
+      if (!comment) return res.status(404).json({ error: 'Комментарий не найден' });
+      if (reported_id && reported_id !== comment.user_id.toString()) return res.status(400).json({ error: 'Комментарий принадлежит другому пользователю' });
+      reported_id = comment.user_id;
+    }
+    if (reported_id.toString() === reporter_id) return res.status(400).json({ error: 'Нельзя пожаловаться на себя' });
+
+    const stats = await UserStats.findOne({ user_id: reporter_id }).select('reports_blocked_until');
+    if (stats && stats.reports_blocked_until > new Date()) {
+      return res.status(403).json({ error: 'Жалобы временно недоступны из-за ложных репортов', blocked_until: stats.reports_blocked_until });
+    }
+    const spent = await UserStats.findOneAndUpdate(
+      { user_id: reporter_id, ban_tokens: { $gte: 1 } },
+      { $inc: { ban_tokens: -1 } }
+    );
+    if (!spent) return res.status(403).json({ error: 'Недостаточно токенов' });
+
+    let report;
+    try {
+      report = await Report.create({ reporter_id, reported_id, comment_id, report_reason });
+    } catch (err) {
+      // Жалоба не сохранилась: списанный токен возвращается
+      await UserStats.updateOne({ user_id: reporter_id }, { $inc: { ban_tokens: 1 } });
+      throw err;
+    }
+    logger.info(`Репорт создан: ${report._id}`);
+    res.status(201).json({ message: 'Репорт отправлен', reportId: report._id });
+  } catch (err) {
+    logger.error('Ошибка создания репорта:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Ложные репорты: при REPORT_FALSE_LIMIT отклонённых жалобах за REPORT_FALSE_WINDOW_DAYS дней
+// жалобы блокируются на REPORT_PENALTY_DAYS дней
+const REPORT_FALSE_LIMIT = parseInt(process.env.REPORT_FALSE_LIMIT) || 3;
+const REPORT_FALSE_WINDOW_DAYS = parseInt(process.env.REPORT_FALSE_WINDOW_DAYS) || 30;
+const REPORT_PENALTY_DAYS = parseInt(process.env.REPORT_PENALTY_DAYS) || 7;
+
+async function penalizeFalseReports(reporterId) {
+  const since = new Date(Date.now() - REPORT_FALSE_WINDOW_DAYS * DAY_MS);
+  const rejected = await Report.countDocuments({ reporter_id: reporterId, status: 'rejected', resolved_at: { $gte: since } });
+  if (rejected < REPORT_FALSE_LIMIT) return null;
+  const blockedUntil = new Date(Date.now() + REPORT_PENALTY_DAYS * DAY_MS);
+  await UserStats.updateOne({ user_id: reporterId }, { reports_blocked_until: blockedUntil });
+  logger.info(`Жалобы заблокированы для ${reporterId} до ${blockedUntil.toISOString()}: ${rejected} ложных репортов`);
+  return blockedUntil;
+}
+
+// Очередь жалоб: по умолчанию открытые, от старых к новым
+app.get('/moderator/reports', authMiddleware, requirePermission('reports:review'), reportListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { status, assigned_to, reported_id, reporter_id, source, after } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { status: status || { $in: ['pending', 'in_review'] } };
+    if (assigned_to === 'me') query.assigned_to = req.user.id;
+    else if (assigned_to === 'none') query.assigned_to = null;
+    else if (assigned_to) query.assigned_to = assigned_to;
+    if (reported_id) query.reported_id = reported_id;
+    if (reporter_id) query.reporter_id = reporter_id;
+    if (source) query.source = source;
+    if (after) query.created_at = { $gt: new Date(after) };
+    const reports = await Report.find(query).sort({ created_at: 1 }).limit(limit);
+    res.json({ reports, nextCursor: reports.length === limit ? reports[reports.length - 1].created_at : null });
+  } catch (err) {
+    logger.error('Ошибка получения очереди жалоб:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Жалоба с контекстом: комментарий, история жалоб и нарушений обеих сторон
+app.get('/moderator/reports/:id', authMiddleware, requirePermission('reports:review'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+    const report = await Report.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Жалоба не найдена' });
+    const since = new Date(Date.now() - REPORT_FALSE_WINDOW_DAYS * DAY_MS);
+    const [comment, reportsAgainst, bans, warnings, falseReports] = await Promise.all([
+      report.comment_id ? Comment.findById(report.comment_id) : null,
+      Report.countDocuments({ reported_id: report.reported_id, status: 'approved' }),
+      Ban.find({ user_id: report.reported_id }).sort({ created_at: -1 }).limit(10),
+      Warning.find({ user_id: report.reported_id }).sort({ created_at: -1 }).limit(10),
+      Report.countDocuments({ reporter_id: report.reporter_id, status: 'rejected', resolved_at: { $gte: since } })
+    ]);
+    res.json({
+      report,
+      comment,
+      reported: { approved_reports: reportsAgainst, bans, warnings },
+      reporter: { false_reports: falseReports }
+    });
+  } catch (err) {
+    logger.error('Ошибка получения жалобы:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Назначение жалобы модератору (по умолчанию себе)
+app.post('/moderator/reports/:id/assign', authMiddleware, requirePermission('reports:review'), reportAssignValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const moderatorId = req.body.moderator_id || req.user.id;
+    if (moderatorId !== req.user.id) {
+      const moderator = await UserStats.findOne({ user_id: moderatorId }).select('role');
+      if (!moderator || !hasPermission(moderator.role, 'reports:review')) {
+        return res.status(400).json({ error: 'Пользователь не может разбирать жалобы' });
+      }
+    }
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['pending', 'in_review'] } },
+      { status: 'in_review', assigned_to: moderatorId, assigned_at: new Date() },
+      { new: true }
+    );
+    if (!report) return res.status(409).json({ error: 'Жалоба не найдена или уже решена' });
+    logger.info(`Жалоба ${report._id} назначена ${moderatorId}`);
+    res.json({ message: 'Жалоба назначена', report });
+  } catch (err) {
+    logger.error('Ошибка назначения жалобы:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Решение по жалобе. Подтверждённая жалоба возвращает токен и может повлечь бан или предупреждение,
+// отклонённая засчитывается как ложный репорт
+app.post('/moderator/reports/:id/resolve', authMiddleware, requirePermission('reports:review'), reportResolveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const { decision, note } = req.body;
+    const action = decision === 'approved' ? req.body.action || 'none' : 'none';
+    if (action === 'ban' && !hasPermission(req.role, 'ban:create')) {
+      return res.status(403).json({ error: 'Недостаточно прав', required: 'ban:create' });
+    }
+    const report = await Report.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: ['pending', 'in_review'] },
+        $or: [{ assigned_to: null }, { assigned_to: req.user.id }]
+      },
+      {
+        status: decision,
+        resolved_by: req.user.id,
+        resolved_at: new Date(),
+        resolution: { action, note }
+      },
+      { new: true }
+    );
+    if (!report) return res.status(409).json({ error: 'Жалоба уже решена или назначена другому модератору' });
+
+    // У пометок фильтра контента нет автора: токен не возвращается, ложная жалоба не засчитывается
+    const reporterId = report.reporter_id && report.reporter_id.toString();
+    const reportedId = report.reported_id.toString();
+    let blockedUntil = null;
+    if (decision === 'approved') {
+      if (reporterId) await UserStats.updateOne({ user_id: reporterId }, { $inc: { ban_tokens: 1 } });
+      if (action === 'ban') {
+        const ban = await banUser({ userId: reportedId, moderatorId: req.user.id, days: parseInt(req.body.duration), reason: note || report.report_reason, reportId: report._id });
+        if (ban) report.resolution.ban_id = ban._id;
+      } else if (action === 'warning') {
+        const warning = await Warning.create({ user_id: reportedId, moderator_id: req.user.id, report_id: report._id, reason: note || report.report_reason });
+        report.resolution.warning_id = warning._id;
+        io.to(reportedId).emit('warning', { warningId: warning._id, reason: warning.reason });
+      }
+      if (action !== 'none') await report.save();
+    } else if (reporterId) {
+      blockedUntil = await penalizeFalseReports(reporterId);
+    }
+
+    if (reporterId) {
+      io.to(reporterId).emit('report_resolved', {
+        reportId: report._id,
+        status: report.status,
+        ban_token_refunded: decision === 'approved',
+        reports_blocked_until: blockedUntil
+      });
+    }
+    await recordAudit(req.user.id, 'report_resolve', { type: 'Report', id: report._id }, note || decision, {
+      decision,
+      action,
+      ban_id: report.resolution.ban_id,
+      warning_id: report.resolution.warning_id
+    });
+    logger.info(`Жалоба ${report._id}: ${decision} (${action}), модератор ${req.user.id}`);
+    res.json({ message: 'Решение по жалобе принято', report });
+  } catch (err) {
+    logger.error('Ошибка решения по жалобе:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Срабатывания фильтра контента, от новых к старым
+app.get('/moderator/content-filter/hits', authMiddleware, requirePermission('reports:review'), filterHitListValidation, pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {};
+    if (req.query.rule) query.rule = req.query.rule;
+    if (req.query.action) query.action = req.query.action;
+    if (req.query.user_id) query.user_id = req.query.user_id;
+    if (req.query.before) query.created_at = { $lt: new Date(req.query.before) };
+    const hits = await ContentFilterHit.find(query).sort({ created_at: -1 }).limit(limit);
+    res.json({ hits, nextCursor: hits.length === limit ? hits[hits.length - 1].created_at : null });
+  } catch (err) {
+    logger.error('Ошибка получения срабатываний фильтра:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Бан пользователя: минус жизнь и запись бана со сроком. Когда жизни заканчиваются, бан бессрочный.
+// Выданные токены отзываются, открытые сокеты отключаются
+async function banUser({ userId, moderatorId, days, reason, reportId }) {
+  const revokedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const stats = await UserStats.findOneAndUpdate(
+    { user_id: userId },
+    [{ $set: { is_banned: true, tokens_valid_after: revokedAt, lives: { $max: [{ $subtract: ['$lives', 1] }, 0] } } }],
+    { new: true }
+  );
+  if (!stats) return null;
+  await sessions.revokeAll(userId, 'ban');
+  const permanent = stats.lives === 0;
+  const ban = await Ban.create({
+    user_id: userId,
+    moderator_id: moderatorId,
+    end_date: permanent ? undefined : new Date(Date.now() + days * DAY_MS),
+    permanent,
+    reason,
+    report_id: reportId
+  });
+  io.in(userId.toString()).disconnectSockets(true);
+  logger.info(`Бан выдан: ${ban._id}${permanent ? ' (бессрочный, жизни закончились)' : ''}`);
+  return ban;
+}
+
+// Снятие бана. Флаг is_banned снимается, только если у пользователя не осталось действующих банов
+async function liftBan(banId, { status = 'lifted', by, reason } = {}) {
+  const set = { status, lifted_at: new Date() };
+  if (by) set.lifted_by = by;
+  if (reason) set.lift_reason = reason;
+  const ban = await Ban.findOneAndUpdate({ _id: banId, status: 'active' }, set, { new: true });
+  if (!ban) return null;
+  if (!(await Ban.exists({ user_id: ban.user_id, status: 'active' }))) {
+    await UserStats.updateOne({ user_id: ban.user_id }, { is_banned: false });
+  }
+  logger.info(`Бан снят: ${ban._id} (${status})`);
+  return ban;
+}
+
+// Репосты, сделанные до появления модели Repost, есть только в Post.reposts. Лента читает Repost,
+// поэтому для них создаются записи; время репоста неизвестно, берётся время поста
+async function migrateLegacyReposts() {
+  let created = 0;
+  const posts = Post.find({ 'reposts.0': { $exists: true } }).select('reposts created_at').cursor();
+  for await (const post of posts) {
+    const result = await Repost.bulkWrite(post.reposts.map(userId => ({
+      updateOne: {
+        filter: { user_id: userId, post_id: post._id },
+        update: { $setOnInsert: { created_at: post.created_at } },
+        upsert: true
+      }
+    })), { ordered: false });
+    created += result.upsertedCount;
+  }
+  if (created) logger.info(`Созданы записи старых репостов: ${created}`);
+}
+
+// Аккаунты, созданные до подтверждения email, считаются подтверждёнными с даты регистрации, чтобы платежи
+// и жалобы не закрылись для них в день выкладки. Новые аккаунты создаются с email_verified_at: null
+// и миграцией не затрагиваются
+async function migrateEmailVerification() {
+  const users = await User.collection.updateMany(
+    { email_verified_at: { $exists: false } },
+    [{ $set: { email_verified_at: { $ifNull: ['$created_at', '$$NOW'] } } }]
+  );
+  if (users.modifiedCount) logger.info(`Email старых аккаунтов отмечен подтверждённым: ${users.modifiedCount}`);
+}
+
+// Баны, выданные до появления статуса, считаются действующими; отрицательные жизни обнуляются
+async function migrateLegacyBans() {
+  const bans = await Ban.updateMany({ status: { $exists: false } }, { $set: { status: 'active' } });
+  if (bans.modifiedCount) logger.info(`Старым банам назначен статус: ${bans.modifiedCount}`);
+  await UserStats.updateMany({ lives: { $lt: 0 } }, { $set: { lives: 0 } });
+}
+
+// Фоновое снятие банов с истёкшим сроком
+async function expireBans() {
+  try {
+    const expired = await Ban.find({ status: 'active', permanent: { $ne: true }, end_date: { $lte: new Date() } }).select('_id');
+    for (const ban of expired) await liftBan(ban._id, { status: 'expired' });
+  } catch (err) {
+    logger.error('Ошибка снятия истёкших банов:', err);
+  }
+}
+
+setInterval(expireBans, 60 * 1000);
+
+// Бан пользователя
+app.post('/moderator/ban', authMiddleware, requirePermission('ban:create'), banValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { user_id, duration } = req.body;
+    const ban = await banUser({ userId: user_id, moderatorId: req.user.id, days: duration });
+    if (!ban) return res.status(404).json({ error: 'Пользователь не найден' });
+    res.json({ message: 'Пользователь забанен', banId: ban._id, permanent: ban.permanent, end_date: ban.end_date });
+  } catch (err) {
+    logger.error('Ошибка бана:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Баны с фильтрами по статусу и пользователю
+app.get('/moderator/bans', authMiddleware, requirePermission('ban:lift'), banListValidation, pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { status: req.query.status || 'active' };
+    if (req.query.user_id) query.user_id = req.query.user_id;
+    if (req.query.before) query.created_at = { $lt: new Date(req.query.before) };
+    const bans = await Ban.find(query).sort({ created_at: -1 }).limit(limit);
+    res.json({ bans, nextCursor: bans.length === limit ? bans[bans.length - 1].created_at : null });
+  } catch (err) {
+    logger.error('Ошибка получения банов:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Ручное снятие бана; restore_life возвращает жизнь, списанную баном
+app.post('/moderator/bans/:id/lift', authMiddleware, requirePermission('ban:lift'), banLiftValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const reason = req.body.reason.trim();
+    const restoreLife = req.body.restore_life === true || req.body.restore_life === 'true';
+    const ban = await liftBan(req.params.id, { by: req.user.id, reason });
+    if (!ban) return res.status(409).json({ error: 'Бан не найден или уже не действует' });
+    if (restoreLife) await UserStats.updateOne({ user_id: ban.user_id }, { $inc: { lives: 1 } });
+    await recordAudit(req.user.id, 'ban_lift', { type: 'Ban', id: ban._id }, reason, { user_id: ban.user_id, restore_life: restoreLife });
+    res.json({ message: 'Бан снят', ban });
+  } catch (err) {
+    logger.error('Ошибка снятия бана:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Действующий бан пользователя и его апелляция; доступно забаненным
+app.get('/me/ban', authenticate({ allowBanned: true }), async (req, res) => {
+  try {
+    const [stats, ban] = await Promise.all([
+      UserStats.findOne({ user_id: req.user.id }).select('lives is_banned'),
+      Ban.findOne({ user_id: req.user.id, status: 'active' }).sort({ permanent: -1, end_date: -1 })
+    ]);
+    const appeal = ban ? await Appeal.findOne({ ban_id: ban._id }) : null;
+    res.json({
+      banned: !!(stats && stats.is_banned),
+      lives: stats ? stats.lives : null,
+      ban: ban && { id: ban._id, reason: ban.reason, end_date: ban.end_date, permanent: ban.permanent, created_at: ban.created_at },
+      appeal: appeal && { id: appeal._id, status: appeal.status, response: appeal.response, created_at: appeal.created_at }
+    });
+  } catch (err) {
+    logger.error('Ошибка получения бана:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Апелляция на действующий бан
+app.post('/me/ban/appeal', authenticate({ allowBanned: true }), appealValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const ban = await Ban.findOne({ user_id: req.user.id, status: 'active' }).sort({ permanent: -1, end_date: -1 });
+    if (!ban) return res.status(404).json({ error: 'Действующий бан не найден' });
+    let appeal;
+    try {
+      appeal = await Appeal.create({ user_id: req.user.id, ban_id: ban._id, text: req.body.text.trim() });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: 'Апелляция на этот бан уже подана' });
+      throw err;
+    }
+    logger.info(`Апелляция подана: ${appeal._id} на бан ${ban._id}`);
+    res.status(201).json({ message: 'Апелляция отправлена', appealId: appeal._id });
+  } catch (err) {
+    logger.error('Ошибка подачи апелляции:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Очередь апелляций, от старых к новым
+app.get('/moderator/appeals', authMiddleware, requirePermission('appeals:review'), appealListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const appeals = await Appeal.find({ status: req.query.status || 'pending' }).sort({ created_at: 1 }).limit(100).populate('ban_id');
+    res.json(appeals);
+  } catch (err) {
+    logger.error('Ошибка получения апелляций:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Решение по апелляции: одобренная снимает бан и возвращает жизнь
+app.post('/moderator/appeals/:id/resolve', authMiddleware, requirePermission('appeals:review'), appealResolveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const { decision } = req.body;
+    const response = req.body.response.trim();
+    const appeal = await Appeal.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: decision, reviewed_by: req.user.id, reviewed_at: new Date(), response },
+      { new: true }
+    );
+    if (!appeal) return res.status(409).json({ error: 'Апелляция не найдена или уже рассмотрена' });
+    if (decision === 'approved') {
+      const ban = await liftBan(appeal.ban_id, { by: req.user.id, reason: `Апелляция одобрена: ${response}` });
+      if (ban) await UserStats.updateOne({ user_id: ban.user_id }, { $inc: { lives: 1 } });
+    }
+    await recordAudit(req.user.id, 'appeal_resolve', { type: 'Appeal', id: appeal._id }, response, { decision, ban_id: appeal.ban_id });
+    logger.info(`Апелляция ${appeal._id}: ${decision}, модератор ${req.user.id}`);
+    res.json({ message: 'Решение по апелляции принято', appeal });
+  } catch (err) {
+    logger.error('Ошибка решения по апелляции:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Матчинг: размер пула кандидатов и время на ответ
+const MATCH_CANDIDATE_POOL = 200;
+const MATCH_PROPOSAL_TTL_MS = 30 * 1000;
+
+const pickPreferences = ({ gender, age_min, age_max, city }) => ({
+  gender,
+  age_min: age_min ? parseInt(age_min) : undefined,
+  age_max: age_max ? parseInt(age_max) : undefined,
+  city
+});
+
+// Исключения матчинга: сам пользователь, блокировки, недавно показанные и уже оценённые
+async function getMatchExclusions(userId) {
+  const [blockedIds, seen, decided] = await Promise.all([
+    getBlockedUserIds(userId),
+    MatchSeen.find({ user_id: userId }).select('seen_user_id'),
+    MatchDecision.find({ user_id: userId }).select('target_id')
+  ]);
+  return [userId, ...blockedIds, ...seen.map(s => s.seen_user_id), ...decided.map(d => d.target_id)];
+}
+
+// Кандидаты с профилем и активностью, забаненные отбрасываются
+async function loadMatchCandidates(userIds) {
+  const [profiles, stats] = await Promise.all([
+    UserProfile.find({ user_id: { $in: userIds } }),
+    UserStats.find({ user_id: { $in: userIds } }).select('user_id is_banned last_active')
+  ]);
+  const statsMap = new Map(stats.map(st => [st.user_id.toString(), st]));
+  return profiles
+    .filter(profile => !statsMap.get(profile.user_id.toString())?.is_banned)
+    .map(profile => ({ profile, last_active: statsMap.get(profile.user_id.toString())?.last_active }));
+}
+
+async function markMatchSeen(userId, seenUserIds) {
+  if (!seenUserIds.length) return;
+  await MatchSeen.bulkWrite(seenUserIds.map(seenUserId => ({
+    updateOne: {
+      filter: { user_id: userId, seen_user_id: seenUserId },
+      update: { $set: { seen_at: new Date() } },
+      upsert: true
+    }
+  })));
+}
+
+// Поиск пары для записи очереди; обе записи захватываются атомарно
+async function findMatchFor(entry) {
+  const userId = entry.user_id.toString();
+  const profile = await UserProfile.findOne({ user_id: userId });
+  if (!profile) return null;
+  const exclusions = await getMatchExclusions(userId);
+  const queued = await MatchQueue.find({ status: 'searching', user_id: { $nin: exclusions } })
+    .sort({ joined_at: 1 })
+    .limit(MATCH_CANDIDATE_POOL);
+  const queueMap = new Map(queued.map(q => [q.user_id.toString(), q]));
+  const candidates = (await loadMatchCandidates(queued.map(q => q.user_id))).map(c => {
+    const queueEntry = queueMap.get(c.profile.user_id.toString());
+    return { ...c, preferences: queueEntry.preferences, joined_at: queueEntry.joined_at, entry: queueEntry };
+  });
+  const ranked = rankCandidates({ profile, preferences: entry.preferences }, candidates);
+  if (!ranked.length) return null;
+
+  const self = await MatchQueue.findOneAndUpdate({ _id: entry._id, status: 'searching' }, { status: 'proposed' });
+  if (!self) return null;
+  for (const { candidate, score } of ranked) {
+    const candidateId = candidate.profile.user_id.toString();
+    // Кандидат мог уже видеть пользователя в своей подборке
+    const seenByCandidate = await MatchSeen.exists({ user_id: candidateId, seen_user_id: userId });
+    if (seenByCandidate) continue;
+    const claimed = await MatchQueue.findOneAndUpdate({ _id: candidate.entry._id, status: 'searching' }, { status: 'proposed' });
+    if (!claimed) continue;
+
+    const proposal = await MatchProposal.create({
+      users: [userId, candidateId],
+      score,
+      expires_at: new Date(Date.now() + MATCH_PROPOSAL_TTL_MS)
+    });
+    await Promise.all([markMatchSeen(userId, [candidateId]), markMatchSeen(candidateId, [userId])]);
+    io.to(userId).emit('match_found', { proposalId: proposal._id, profile: candidate.profile, score, expires_at: proposal.expires_at });
+    io.to(candidateId).emit('match_found', { proposalId: proposal._id, profile, score, expires_at: proposal.expires_at });
+    logger.info(`Матч предложен: ${proposal._id} (${userId} <-> ${candidateId}, ${score})`);
+    return proposal;
+  }
+  await MatchQueue.updateOne({ _id: entry._id, status: 'proposed' }, { status: 'searching' });
+  return null;
+}
+
+// Вход в очередь матчинга
+async function joinMatchQueue(userId, preferences) {
+  const entry = await MatchQueue.findOneAndUpdate(
+    { user_id: userId },
+    { $set: { preferences }, $setOnInsert: { status: 'searching', joined_at: new Date() } },
+    { upsert: true, new: true }
+  );
+  if (entry.status === 'searching') await findMatchFor(entry);
+  return MatchQueue.findById(entry._id);
+}
+
+// Выход из очереди; ожидающее предложение считается отклонённым
+async function leaveMatchQueue(userId) {
+  const proposal = await MatchProposal.findOne({ users: userId, status: 'pending' });
+  if (proposal) await respondToMatch(userId, proposal._id, 'declined');
+  await MatchQueue.deleteOne({ user_id: userId });
+}
+
+// Ответ на предложение пары
+async function respondToMatch(userId, proposalId, response) {
+  const proposal = await MatchProposal.findOneAndUpdate(
+    { _id: proposalId, users: userId, status: 'pending', 'responses.user_id': { $ne: userId } },
+    { $push: { responses: { user_id: userId, response } } },
+    { new: true }
+  );
+  if (!proposal) return null;
+  const otherId = proposal.users.find(id => id.toString() !== userId.toString()).toString();
+
+  if (response === 'declined') {
+    proposal.status = 'declined';
+    await proposal.save();
+    await MatchQueue.updateOne({ user_id: otherId, status: 'proposed' }, { status: 'searching' });
+    await MatchQueue.updateOne({ user_id: userId, status: 'proposed' }, { status: 'searching' });
+    io.to(otherId).emit('match_declined', { proposalId: proposal._id });
+    logger.info(`Матч отклонён: ${proposal._id} пользователем ${userId}`);
+    return proposal;
+  }
+
+  const accepted = proposal.responses.filter(r => r.response === 'accepted').length;
+  if (accepted === proposal.users.length) {
+    const finalized = await MatchProposal.findOneAndUpdate({ _id: proposal._id, status: 'pending' }, { status: 'accepted' }, { new: true });
+    if (!finalized) return proposal;
+    await MatchQueue.deleteMany({ user_id: { $in: proposal.users } });
+    const profileMap = await getProfileMap(proposal.users);
+    for (const id of proposal.users.map(String)) {
+      const partnerId = proposal.users.find(u => u.toString() !== id).toString();
+      io.to(id).emit('match_accepted', { proposalId: proposal._id, userId: partnerId, profile: profileMap.get(partnerId) || null });
+    }
+    logger.info(`Матч принят: ${proposal._id}`);
+    return finalized;
+  }
+  return proposal;
+}
+
+// Истечение неотвеченных предложений: ответивший возвращается в поиск, молчавший покидает очередь
+async function expireMatchProposals() {
+  const expired = await MatchProposal.find({ status: 'pending', expires_at: { $lte: new Date() } });
+  for (const proposal of expired) {
+    const updated = await MatchProposal.findOneAndUpdate({ _id: proposal._id, status: 'pending' }, { status: 'expired' });
+    if (!updated) continue;
+    const responded = new Set(proposal.responses.map(r => r.user_id.toString()));
+    for (const id of proposal.users.map(String)) {
+      if (responded.has(id)) await MatchQueue.updateOne({ user_id: id, status: 'proposed' }, { status: 'searching' });
+      else await MatchQueue.deleteOne({ user_id: id });
+      io.to(id).emit('match_expired', { proposalId: proposal._id });
+    }
+  }
+}
+
+// Фоновый подбор пар для ожидающих в очереди
+async function runMatchmaking() {
+  try {
+    await expireMatchProposals();
+    const waiting = await MatchQueue.find({ status: 'searching' }).sort({ joined_at: 1 }).limit(50);
+    for (const entry of waiting) {
+      const current = await MatchQueue.findById(entry._id);
+      if (current && current.status === 'searching') await findMatchFor(current);
+    }
+  } catch (err) {
+    logger.error('Ошибка матчинга в очереди:', err);
+  }
+}
+
+setInterval(runMatchmaking, 10000);
+
+// Матчинг: подборка кандидатов по оценке
+app.post('/match', authMiddleware, requireTier('trial'), requireMatchFilterTier, matchValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { gender, age_min, age_max } = req.body;
+    const userId = req.user.id;
+    const query = {};
+    if (gender) query.gender = gender;
+    if (age_min || age_max) {
+      query.birth_date = {};
+      if (age_min) query.birth_date.$lte = new Date(new Date().setFullYear(new Date().getFullYear() - age_min));
+      if (age_max) query.birth_date.$gte = new Date(new Date().setFullYear(new Date().getFullYear() - age_max));
+    }
+
+    const exclusions = await getMatchExclusions(userId);
+    query.user_id = { $nin: exclusions };
+
+    const me = await UserProfile.findOne({ user_id: userId });
+    if (!me) return res.status(404).json({ error: 'Профиль не найден' });
+    const pool = await UserProfile.find(query).select('user_id').limit(MATCH_CANDIDATE_POOL);
+    const candidates = await loadMatchCandidates(pool.map(p => p.user_id));
+    const ranked = rankCandidates({ profile: me, preferences: pickPreferences(req.body) }, candidates).slice(0, 10);
+    await markMatchSeen(userId, ranked.map(r => r.candidate.profile.user_id));
+    res.json(ranked.map(r => ({ ...r.candidate.profile.toObject(), match_score: r.score })));
+  } catch (err) {
+    logger.error('Ошибка матчинга:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Вход в очередь матчинга
+app.post('/match/queue', authMiddleware, requireTier('express'), requireMatchFilterTier, matchValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const entry = await joinMatchQueue(req.user.id, pickPreferences(req.body));
+    logger.info(`Пользователь в очереди матчинга: ${req.user.id}`);
+    res.status(201).json(entry);
+  } catch (err) {
+    logger.error('Ошибка входа в очередь:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Состояние очереди и ожидающее предложение
+app.get('/match/queue', authMiddleware, requireTier('express'), async (req, res) => {
+  try {
+    const [entry, proposal] = await Promise.all([
+      MatchQueue.findOne({ user_id: req.user.id }),
+      MatchProposal.findOne({ users: req.user.id, status: 'pending' })
+    ]);
+    res.json({ entry, proposal });
+  } catch (err) {
+    logger.error('Ошибка получения очереди:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Выход из очереди матчинга
+app.delete('/match/queue', authMiddleware, async (req, res) => {
+  try {
+    await leaveMatchQueue(req.user.id);
+    logger.info(`Пользователь вышел из очереди матчинга: ${req.user.id}`);
+    res.json({ message: 'Вы вышли из очереди' });
+  } catch (err) {
+    logger.error('Ошибка выхода из очереди:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Дневной лимит решений по уровню доступа
+const SWIPE_DAILY_LIMITS = { trial: 20, express: 100, full: Infinity };
+
+const startOfUtcDay = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// Лайк или пропуск кандидата, при взаимном лайке создаётся пара
+app.post('/match/decisions', authMiddleware, requireTier('trial'), decisionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { targetId, decision } = req.body;
+    const userId = req.user.id;
+    if (targetId === userId) return res.status(400).json({ error: 'Нельзя оценить себя' });
+    const [profile, target, targetStats] = await Promise.all([
+      UserProfile.findOne({ user_id: userId }),
+      UserProfile.findOne({ user_id: targetId }),
+      UserStats.findOne({ user_id: targetId })
+    ]);
+    if (!target || targetStats?.is_banned) return res.status(404).json({ error: 'Пользователь не найден' });
+    if (await isBlockedBetween(userId, targetId)) return res.status(403).json({ error: 'Пользователь недоступен' });
+
+    const limit = SWIPE_DAILY_LIMITS[req.entitlements.tier] ?? SWIPE_DAILY_LIMITS.trial;
+    const usedToday = await MatchDecision.countDocuments({ user_id: userId, created_at: { $gte: startOfUtcDay() } });
+    if (usedToday >= limit) return res.status(429).json({ error: 'Дневной лимит оценок исчерпан', limit });
+
+    try {
+      await MatchDecision.create({ user_id: userId, target_id: targetId, decision });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: 'Решение уже принято' });
+      throw err;
+    }
+
+    let match = null;
+    if (decision === 'like' && await MatchDecision.exists({ user_id: targetId, target_id: userId, decision: 'like' })) {
+      const users = [userId, targetId].sort();
+      match = await MutualMatch.findOneAndUpdate(
+        { pair_key: users.join('_') },
+        { $setOnInsert: { users, created_at: new Date() } },
+        { upsert: true, new: true }
+      );
+      io.to(userId).emit('mutual_match', { matchId: match._id, userId: targetId, profile: target });
+      io.to(targetId).emit('mutual_match', { matchId: match._id, userId, profile });
+      logger.info(`Взаимный матч: ${match._id} (${userId} <-> ${targetId})`);
+    }
+
+    const remaining = limit === Infinity ? null : limit - usedToday - 1;
+    res.status(201).json({ message: 'Решение сохранено', match, remaining });
+  } catch (err) {
+    logger.error('Ошибка сохранения решения:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Создание поста
-app.post('/posts', authMiddleware, async (req, res) => {
+// Список взаимных матчей
+app.get('/match/mutual', authMiddleware, requireTier('trial'), pageValidation, async (req, res) => {
   try {
-    const { content_type, content_url, content_text } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
     const userId = req.user.id;
-    const post = await Post.create({ user_id: userId, content_type, content_url, content_text });
-    logger.info(`Пост создан: ${post._id}`);
-    res.status(201).json(post);
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { users: userId };
+    if (req.query.before) query.created_at = { $lt: new Date(req.query.before) };
+    const matches = await MutualMatch.find(query).sort({ created_at: -1 }).limit(limit);
+    const partnerIds = matches.map(m => m.users.find(id => id.toString() !== userId));
+    const profileMap = await getProfileMap(partnerIds);
+    res.json({
+      matches: matches.map((m, i) => ({
+        matchId: m._id,
+        userId: partnerIds[i],
+        profile: profileMap.get(partnerIds[i].toString()) || null,
+        created_at: m.created_at
+      })),
+      nextCursor: matches.length === limit ? matches[matches.length - 1].created_at : null
+    });
   } catch (err) {
-    logger.error('Ошибка создания поста:', err);
+    logger.error('Ошибка получения матчей:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Получение ленты
-app.get('/news', authMiddleware, async (req, res) => {
+// Добавление викторины
+app.post('/quiz/add', authMiddleware, requirePermission('quiz:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const friends = await Friend.find({ $or: [{ requester: userId }, { recipient: userId }], status: 'accepted' });
-    const friendIds = friends.map(f => f.requester.toString() === userId ? f.recipient : f.requester);
-    friendIds.push(userId);
-    const posts = await Post.find({ user_id: { $in: friendIds } }).sort({ created_at: -1 });
-    res.json(posts);
+    const { question, answers, correct_answer } = req.body;
+    const quiz = await Quiz.create({ question, answers, correct_answer });
+    logger.info(`Викторина добавлена: ${quiz._id}`);
+    res.status(201).json(quiz);
   } catch (err) {
-    logger.error('Ошибка получения ленты:', err);
+    logger.error('Ошибка добавления викторины:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Получение друзей
-app.get('/friends', authMiddleware, async (req, res) => {
+// Ответ на викторину
+app.post('/quiz/answer', authMiddleware, requireTier('trial'), quizAnswerValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { quiz_id, answer } = req.body;
     const userId = req.user.id;
-    const friends = await Friend.find({ $or: [{ requester: userId }, { recipient: userId }], status: 'accepted' });
-    const friendIds = friends.map(f => f.requester.toString() === userId ? f.recipient : f.requester);
-    const friendProfiles = await UserProfile.find({ user_id: { $in: friendIds } });
-    res.json(friendProfiles);
+    const quiz = await Quiz.findById(quiz_id);
+    if (!quiz) return res.status(404).json({ error: 'Викторина не найдена' });
+
+    if (answer === quiz.correct_answer) {
+      // Одна викторина начисляет CP пользователю только один раз
+      const { created } = await ledger.credit(userId, 200, {
+        key: `quiz:${quiz._id}:${userId}`,
+        reason: 'quiz_reward',
+        refType: 'Quiz',
+        refId: quiz._id
+      });
+      logger.info(`Правильный ответ на викторину: ${quiz_id} пользователем ${userId}`);
+      res.json({ message: created ? 'Правильный ответ, CP начислены' : 'Правильный ответ, CP за эту викторину уже начислены' });
+    } else {
+      res.json({ message: 'Неправильный ответ' });
+    }
   } catch (err) {
-    logger.error('Ошибка получения друзей:', err);
+    if (err instanceof AccountNotFoundError) return res.status(404).json({ error: err.message });
+    logger.error('Ошибка ответа на викторину:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Получение подписки
-app.get('/subscriptions', authMiddleware, async (req, res) => {
+// Просмотр рекламы: экспресс-доступ на ограниченное время
+// Минимальное время показа рекламы и перерыв между засчитанными просмотрами
+const AD_MIN_WATCH_SECONDS = parseInt(process.env.AD_MIN_WATCH_SECONDS) || 15;
+const AD_VIEW_COOLDOWN_HOURS = parseInt(process.env.AD_VIEW_COOLDOWN_HOURS) || 72;
+// Начатый показ нужно завершить в течение часа
+const AD_VIEW_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Причина, по которой реклама сейчас не даёт экспресс-доступ, или null
+async function adViewBlocked(userId, tier) {
+  if (tier === 'full') return { status: 400, error: 'Экспресс-доступ не нужен при активной подписке' };
+  if (tier === 'express') return { status: 400, error: 'Экспресс-доступ уже действует' };
+  const last = await AdView.findOne({ user_id: userId, viewed_at: { $ne: null } }).sort({ viewed_at: -1 });
+  const availableAt = last && new Date(last.viewed_at.getTime() + AD_VIEW_COOLDOWN_HOURS * 60 * 60 * 1000);
+  if (availableAt && availableAt > new Date()) {
+    return { status: 429, error: 'Просмотр рекламы пока недоступен', available_at: availableAt };
+  }
+  return null;
+}
+
+// Начало показа рекламы: клиент получает ID просмотра и показывает ролик
+app.post('/ad/start', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const subscription = await Subscription.findOne({ user_id: userId, status: 'active', end_date: { $gt: new Date() } }).sort({ end_date: -1 });
-    if (!subscription) return res.status(404).json({ error: 'Активная подписка не найдена' });
-    res.json(subscription);
+    const blocked = await adViewBlocked(userId, req.entitlements.tier);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+    const adView = await AdView.create({ user_id: userId, ip: req.ip, user_agent: (req.get('user-agent') || '').slice(0, 300) });
+    res.status(201).json({ ad_view_id: adView._id, min_watch_seconds: AD_MIN_WATCH_SECONDS });
   } catch (err) {
-    logger.error('Ошибка получения подписки:', err);
+    logger.error('Ошибка начала показа рекламы:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Покупка CP через BestChange
-app.post('/exchange/initiate', authMiddleware, paymentValidation, async (req, res) => {
+// Завершение показа: засчитывается начатый этим пользователем показ, длившийся не меньше AD_MIN_WATCH_SECONDS
+app.post('/ad/view', authMiddleware, adViewValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
-    const { amount } = req.body;
     const userId = req.user.id;
-    const verificationCode = generateVerificationCode();
-
-    const transaction = await Transaction.create({
-      user_id: userId,
-      type: 'points_purchase',
-      amount,
-      currency: 'USDT',
-      payment_method: 'BESTCHANGE',
-      verification_code: verificationCode
-    });
-
-    const instructions = `
-      1. Перейдите на BestChange.
-      2. Выберите способ оплаты (Visa/MasterCard, YooMoney, Qiwi) и USDT TRC-20.
-      3. Выберите обменник без KYC.
-      4. Отправьте $${amount.toFixed(2)} в USDT на адрес: ${process.env.USDT_WALLET}
-      5. Укажите memo: ${verificationCode}
-      6. CHOIZZE Points начислятся в течение 10 минут.
-      Рекомендуемые обменники:
-      - 365Cash: Карты, YooMoney, быстро.
-      - BitHunter: Qiwi, SBP, без KYC.
-      - WW-Pay: Карты, низкие комиссии.
-    `;
-
-    logger.info(`BestChange платёж инициирован: ${transaction._id}`);
-    res.json({ message: 'Платеж инициирован', transactionId: transaction._id, instructions });
+    const blocked = await adViewBlocked(userId, req.entitlements.tier);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+    const now = new Date();
+    const adView = await AdView.findOneAndUpdate(
+      {
+        _id: req.body.ad_view_id,
+        user_id: userId,
+        viewed_at: null,
+        started_at: { $lte: new Date(now.getTime() - AD_MIN_WATCH_SECONDS * 1000), $gte: new Date(now.getTime() - AD_VIEW_MAX_AGE_MS) }
+      },
+      { viewed_at: now }
+    );
+    if (!adView) return res.status(400).json({ error: 'Просмотр рекламы не подтверждён' });
+    const entitlements = await getEntitlements(userId);
+    await syncProfileAccessType(userId, entitlements);
+    logger.info(`Реклама просмотрена: ${userId}`);
+    res.json({ message: 'Реклама просмотрена, экспресс-доступ предоставлен', entitlements });
   } catch (err) {
-    logger.error('Ошибка инициирования BestChange:', err);
+    logger.error('Ошибка просмотра рекламы:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Фоновая проверка BestChange
-async function checkUsdtTransactions() {
+// Действующий уровень доступа
+app.get('/me/entitlements', authMiddleware, async (req, res) => {
   try {
-    const response = await fetch(`https://api.trongrid.io/v1/accounts/${process.env.USDT_WALLET}/transactions/trc20`, {
-      headers: { 'TRON-PRO-API-KEY': '6a879052-3f4e-4e24-b51f-4fc0de898473' }
-    });
-    const data = await response.json();
-
-    for (const tx of data.data) {
-      if (tx.token_info.symbol !== 'USDT') continue;
-      const transaction = await Transaction.findOne({
-        verification_code: tx.transaction_id,
-        status: 'pending',
-        payment_method: 'BESTCHANGE'
-      });
-      if (transaction) {
-        transaction.status = 'completed';
-        await transaction.save();
-        const userStats = await UserStats.findOne({ user_id: transaction.user_id });
-        if (userStats) {
-          userStats.points += transaction.amount * 100;
-          await userStats.save();
-          logger.info(`CP начислены через BestChange: ${transaction.amount * 100} для ${transaction.user_id}`);
-        }
-      }
-    }
+    await syncProfileAccessType(req.user.id, req.entitlements);
+    res.json(req.entitlements);
   } catch (err) {
-    logger.error('Ошибка проверки BestChange:', err);
+    logger.error('Ошибка получения уровня доступа:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
-}
-
-setInterval(checkUsdtTransactions, 60000);
+});
 
-// Покупка CP через FaucetPay
-app.post('/faucetpay/initiate', authMiddleware, paymentValidation, async (req, res) => {
+// История начислений и списаний CP
+app.get('/me/points/history', authMiddleware, pageValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { amount } = req.body;
     const userId = req.user.id;
-    const verificationCode = generateVerificationCode();
-
-    const transaction = await Transaction.create({
-      user_id: userId,
-      type: 'points_purchase',
-      amount,
-      currency: 'USDT',
-      payment_method: 'FAUCETPAY',
-      verification_code: verificationCode
+    const limit = parseInt(req.query.limit) || 50;
+    const before = req.query.before ? new Date(req.query.before) : null;
+    const [stats, entries] = await Promise.all([
+      UserStats.findOne({ user_id: userId }).select('points'),
+      ledger.history(userId, { before, limit })
+    ]);
+    res.json({
+      balance: stats ? stats.points : 0,
+      entries,
+      nextCursor: entries.length === limit ? entries[entries.length - 1].created_at : null
     });
-
-    const formData = {
-      merchant_username: process.env.FAUCETPAY_USERNAME,
-      item_description: `Purchase of ${amount} CHOIZZE Points`,
-      amount1: amount.toFixed(2),
-      currency1: 'USD',
-      currency2: 'USDT',
-      custom: verificationCode,
-      callback_url: 'http://localhost:3000/faucetpay/callback',
-      success_url: 'https://your-frontend.com/success',
-      cancel_url: 'https://your-frontend.com/cancel'
-    };
-
-    const formHtml = `
-      <form id="faucetpayForm" action="https://faucetpay.io/merchant/webscr" method="post">
-        <input type="hidden" name="merchant_username" value="${formData.merchant_username}">
-        <input type="hidden" name="item_description" value="${formData.item_description}">
-        <input type="hidden" name="amount1" value="${formData.amount1}">
-        <input type="hidden" name="currency1" value="${formData.currency1}">
-        <input type="hidden" name="currency2" value="${formData.currency2}">
-        <input type="hidden" name="custom" value="${formData.custom}">
-        <input type="hidden" name="callback_url" value="${formData.callback_url}">
-        <input type="hidden" name="success_url" value="${formData.success_url}">
-        <input type="hidden" name="cancel_url" value="${formData.cancel_url}">
-      </form>
-      <script>document.getElementById('faucetpayForm').submit();</script>
-    `;
-
-    logger.info(`FaucetPay платёж инициирован: ${transaction._id}`);
-    res.set('Content-Type', 'text/html');
-    res.send(formHtml);
   } catch (err) {
-    logger.error('Ошибка инициирования FaucetPay:', err);
+    logger.error('Ошибка получения истории CP:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// FaucetPay callback
-app.post('/faucetpay/callback', async (req, res) => {
-  try {
-    const { token, merchant_username, amount1, currency1, amount2, currency2, custom } = req.body;
-    if (merchant_username !== process.env.FAUCETPAY_USERNAME) {
-      logger.warn(`Неверный merchant_username: ${merchant_username}`);
-      return res.status(403).json({ error: 'Неверный merchant_username' });
-    }
-
-    const response = await fetch(`https://faucetpay.io/merchant/get-payment/${token}`);
-    const paymentInfo = await response.json();
+// CP за действия с постами
+const POST_REWARD_POINTS = { like: 1, repost: 2 };
 
-    if (!paymentInfo.valid) {
-      logger.warn(`Неверный токен: ${token}`);
-      return res.status(400).json({ error: 'Неверный токен' });
-    }
+// Начисление CP за действие один раз на пару пользователь/пост
+async function grantPostReward(userId, postId, action) {
+  const points = POST_REWARD_POINTS[action];
+  let reward;
+  try {
+    reward = await PostReward.create({ user_id: userId, post_id: postId, action, points });
+  } catch (err) {
+    if (err.code === 11000) return 0;
+    throw err;
+  }
+  await ledger.credit(userId, points, {
+    key: `post_reward:${reward._id}`,
+    reason: 'post_reward',
+    refType: 'Post',
+    refId: postId
+  });
+  return points;
+}
 
-    if (paymentInfo.currency1 !== 'USD' || paymentInfo.currency2 !== 'USDT') {
-      logger.warn(`Неверная валюта: ${paymentInfo.currency1}/${paymentInfo.currency2}`);
-      return res.status(400).json({ error: 'Неверная валюта' });
+// Возврат CP при отмене действия. Для старых лайков без записи о награде она создаётся сразу отозванной
+async function revokePostReward(userId, postId, action) {
+  const now = new Date();
+  let reward = await PostReward.findOneAndUpdate(
+    { user_id: userId, post_id: postId, action, revoked_at: null },
+    { revoked_at: now }
+  );
+  if (!reward) {
+    try {
+      reward = await PostReward.create({ user_id: userId, post_id: postId, action, points: POST_REWARD_POINTS[action], revoked_at: now });
+    } catch (err) {
+      if (err.code === 11000) return 0;
+      throw err;
     }
+  }
+  // Начисленные CP могли быть уже потрачены, поэтому возврат может увести баланс в минус
+  await ledger.debit(userId, reward.points, {
+    key: `post_reward_revoke:${reward._id}`,
+    reason: 'post_reward_revoke',
+    refType: 'Post',
+    refId: postId,
+    to: SYSTEM_ACCOUNTS.rewards,
+    allowNegative: true
+  });
+  return reward.points;
+}
 
-    const transaction = await Transaction.findOne({
-      verification_code: custom,
-      status: 'pending',
-      payment_method: 'FAUCETPAY'
-    });
+// Редактирование поста автором, прежняя версия сохраняется в истории
+app.put('/posts/:id', authMiddleware, requireTier('trial'), postUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
 
-    if (!transaction) {
-      logger.warn(`Транзакция не найдена: ${custom}`);
-      return res.status(404).json({ error: 'Транзакция не найдена' });
+    const { content_text, content_url } = req.body;
+    const post = await Post.findById(req.params.id);
+    if (!post || post.deleted_at) return res.status(404).json({ error: 'Пост не найден' });
+    if (post.user_id.toString() !== req.user.id) return res.status(403).json({ error: 'Недостаточно прав' });
+    if (content_text === undefined && content_url === undefined) return res.status(400).json({ error: 'Нет изменений' });
+    let thumbnail_url = post.thumbnail_url;
+    if (content_url !== undefined) {
+      const resolved = await resolvePostMedia(req.user.id, post.content_type, content_url);
+      if (resolved.error) return res.status(400).json({ error: resolved.error });
+      thumbnail_url = resolved.thumbnail_url;
     }
+    const screening = await screenContent(req.user.id, 'post', content_text);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
 
-    if (parseFloat(paymentInfo.amount1) !== transaction.amount) {
-      logger.warn(`Неверная сумма: ${paymentInfo.amount1} != ${transaction.amount}`);
-      return res.status(400).json({ error: 'Неверная сумма' });
+    const now = new Date();
+    post.edit_history.push({ content_text: post.content_text, content_url: post.content_url, edited_at: now });
+    if (content_text !== undefined) post.content_text = screening.text;
+    if (content_url !== undefined) {
+      post.content_url = content_url;
+      post.thumbnail_url = thumbnail_url;
     }
+    post.edited_at = now;
+    await post.save();
+    await screening.record(post._id);
+    logger.info(`Пост изменён: ${post._id}`);
+    res.json(post);
+  } catch (err) {
+    logger.error('Ошибка изменения поста:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
 
-    transaction.status = 'completed';
-    transaction.transaction_id = paymentInfo.transaction_id;
-    await transaction.save();
-
-    const userStats = await UserStats.findOne({ user_id: transaction.user_id });
-    if (userStats) {
-      userStats.points += transaction.amount * 100;
-      await userStats.save();
-      logger.info(`CP начислены через FaucetPay: ${transaction.amount * 100} для ${transaction.user_id}`);
+// Удаление поста автором или модератором (мягкое)
+app.delete('/posts/:id', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+    const userId = req.user.id;
+    const post = await Post.findById(req.params.id);
+    if (!post || post.deleted_at) return res.status(404).json({ error: 'Пост не найден' });
+    if (post.user_id.toString() !== userId && !hasPermission(req.role, 'content:moderate')) {
+      return res.status(403).json({ error: 'Недостаточно прав' });
     }
-
-    res.status(200).json({ status: 'success' });
+    post.deleted_at = new Date();
+    post.deleted_by = userId;
+    await post.save();
+    // CP за лайки и репосты удалённого поста списываются, иначе их можно копить, удаляя и создавая посты
+    const rewards = await PostReward.find({ post_id: post._id, revoked_at: null }).select('user_id action');
+    for (const reward of rewards) await revokePostReward(reward.user_id, post._id, reward.action);
+    logger.info(`Пост удалён: ${post._id} пользователем ${userId}, списано наград: ${rewards.length}`);
+    res.json({ message: 'Пост удалён' });
   } catch (err) {
-    logger.error('Ошибка callback FaucetPay:', err);
+    logger.error('Ошибка удаления поста:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Создание репорта
-app.post('/reports', authMiddleware, reportValidation, async (req, res) => {
+// Лайк поста
+app.post('/posts/:id/like', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
-    const { reported_id, report_reason } = req.body;
-    const reporter_id = req.user.id;
-    const userStats = await UserStats.findOne({ user_id: reporter_id });
-
-    if (!userStats || userStats.ban_tokens < 1) return res.status(403).json({ error: 'Недостаточно токенов' });
-    userStats.ban_tokens -= 1;
-    await userStats.save();
-
-    const report = await Report.create({ reporter_id, reported_id, report_reason });
-    logger.info(`Репорт создан: ${report._id}`);
-    res.status(201).json({ message: 'Репорт отправлен', reportId: report._id });
+    const postId = req.params.id;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(postId)) return res.status(400).json({ error: 'Неверный ID' });
+    const post = await Post.findById(postId);
+    if (!post || post.deleted_at) return res.status(404).json({ error: 'Пост не найден' });
+    const result = await Post.updateOne({ _id: postId, likes: { $ne: userId } }, { $push: { likes: userId } });
+    if (!result.modifiedCount) return res.status(400).json({ error: 'Уже лайкнуто' });
+    const points = await grantPostReward(userId, postId, 'like');
+    logger.info(`Лайк поста: ${postId} пользователем ${userId}`);
+    res.json({ message: points ? 'Лайк поставлен, CP начислены' : 'Лайк поставлен', points });
   } catch (err) {
-    logger.error('Ошибка создания репорта:', err);
+    logger.error('Ошибка лайка:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Бан пользователя
-app.post('/moderator/ban', authMiddleware, moderatorMiddleware, banValidation, async (req, res) => {
+// Снятие лайка
+app.delete('/posts/:id/like', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
-    const { user_id, duration } = req.body;
-    const moderator_id = req.user.id;
-    const end_date = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
-
-    const userStats = await UserStats.findOne({ user_id });
-    if (!userStats) return res.status(404).json({ error: 'Пользователь не найден' });
-
-    userStats.is_banned = true;
-    userStats.lives -= 1;
-    await userStats.save();
-
-    const ban = await Ban.create({ user_id, moderator_id, end_date });
-    logger.info(`Бан выдан: ${ban._id}`);
-    res.json({ message: 'Пользователь забанен', banId: ban._id });
+    const postId = req.params.id;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(postId)) return res.status(400).json({ error: 'Неверный ID' });
+    const result = await Post.updateOne({ _id: postId, likes: userId }, { $pull: { likes: userId } });
+    if (!result.modifiedCount) return res.status(400).json({ error: 'Лайк не найден' });
+    const points = await revokePostReward(userId, postId, 'like');
+    logger.info(`Лайк снят: ${postId} пользователем ${userId}`);
+    res.json({ message: points ? 'Лайк снят, CP списаны' : 'Лайк снят', points: -points });
   } catch (err) {
-    logger.error('Ошибка бана:', err);
+    logger.error('Ошибка снятия лайка:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Матчинг
-app.post('/match', authMiddleware, matchValidation, async (req, res) => {
+// Репост
+app.post('/posts/:id/repost', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
-    const { gender, age_min, age_max } = req.body;
+    const postId = req.params.id;
     const userId = req.user.id;
-    const query = {};
-    if (gender) query.gender = gender;
-    if (age_min || age_max) {
-      query.birth_date = {};
-      if (age_min) query.birth_date.$lte = new Date(new Date().setFullYear(new Date().getFullYear() - age_min));
-      if (age_max) query.birth_date.$gte = new Date(new Date().setFullYear(new Date().getFullYear() - age_max));
-    }
-
-    const profiles = await UserProfile.find(query).limit(10);
-    const filteredProfiles = profiles.filter(profile => profile.user_id.toString() !== userId);
-    res.json(filteredProfiles);
+    if (!mongoose.isValidObjectId(postId)) return res.status(400).json({ error: 'Неверный ID' });
+    const post = await Post.findById(postId);
+    if (!post || post.deleted_at) return res.status(404).json({ error: 'Пост не найден' });
+    const result = await Post.updateOne({ _id: postId, reposts: { $ne: userId } }, { $push: { reposts: userId } });
+    if (!result.modifiedCount) return res.status(400).json({ error: 'Уже репостнуто' });
+    await Repost.create({ user_id: userId, post_id: post._id });
+    const points = await grantPostReward(userId, postId, 'repost');
+    logger.info(`Репост: ${postId} пользователем ${userId}`);
+    res.json({ message: points ? 'Репост сделан, CP начислены' : 'Репост сделан', points });
   } catch (err) {
-    logger.error('Ошибка матчинга:', err);
+    logger.error('Ошибка репоста:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Добавление викторины
-app.post('/quiz/add', authMiddleware, moderatorMiddleware, async (req, res) => {
+// Отмена репоста
+app.delete('/posts/:id/repost', authMiddleware, requireTier('trial'), async (req, res) => {
   try {
-    const { question, answers, correct_answer } = req.body;
-    const quiz = await Quiz.create({ question, answers, correct_answer });
-    logger.info(`Викторина добавлена: ${quiz._id}`);
-    res.status(201).json(quiz);
+    const postId = req.params.id;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(postId)) return res.status(400).json({ error: 'Неверный ID' });
+    const result = await Post.updateOne({ _id: postId, reposts: userId }, { $pull: { reposts: userId } });
+    if (!result.modifiedCount) return res.status(400).json({ error: 'Репост не найден' });
+    await Repost.deleteOne({ user_id: userId, post_id: postId });
+    const points = await revokePostReward(userId, postId, 'repost');
+    logger.info(`Репост отменён: ${postId} пользователем ${userId}`);
+    res.json({ message: points ? 'Репост отменён, CP списаны' : 'Репост отменён', points: -points });
   } catch (err) {
-    logger.error('Ошибка добавления викторины:', err);
+    logger.error('Ошибка отмены репоста:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Ответ на викторину
-app.post('/quiz/answer', authMiddleware, quizAnswerValidation, async (req, res) => {
+// Пост, комментарии которого видны пользователю: не удалён и автор не в блокировке с пользователем
+const findVisiblePost = async (userId, postId) => {
+  const post = await Post.findById(postId).select('user_id deleted_at');
+  if (!post || post.deleted_at || await isBlockedBetween(userId, post.user_id)) return null;
+  return post;
+};
+
+// Комментарий в ответе API: удалённый скрывает текст, остаётся ради ответов
+const formatComment = (comment, profileMap) => ({
+  ...comment.toObject(),
+  content_text: comment.deleted_at ? null : comment.content_text,
+  author: comment.deleted_at ? null : profileMap.get(comment.user_id.toString()) || null
+});
+
+// Страница комментариев в хронологическом порядке
+const listComments = async (query, req) => {
+  const limit = parseInt(req.query.limit) || 20;
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor || !mongoose.isValidObjectId(cursor.id) || !isValidDate(cursor.v)) return null;
+    const after = new Date(cursor.v);
+    query.$and = [{ $or: [{ created_at: { $gt: after } }, { created_at: after, _id: { $gt: cursor.id } }] }];
+  }
+  const comments = await Comment.find(query).sort({ created_at: 1, _id: 1 }).limit(limit);
+  const profileMap = await getProfileMap(comments.map(c => c.user_id));
+  const last = comments[comments.length - 1];
+  return {
+    comments: comments.map(c => formatComment(c, profileMap)),
+    nextCursor: comments.length === limit ? encodeCursor({ v: last.created_at, id: last._id }) : null
+  };
+};
+
+// Добавление комментария или ответа
+app.post('/posts/:id/comments', authMiddleware, requireTier('trial'), commentValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
 
-    const { quiz_id, answer } = req.body;
+    const { content_text, parent_id } = req.body;
     const userId = req.user.id;
-    const quiz = await Quiz.findById(quiz_id);
-    if (!quiz) return res.status(404).json({ error: 'Викторина не найдена' });
+    const post = await Post.findById(req.params.id);
+    if (!post || post.deleted_at) return res.status(404).json({ error: 'Пост не найден' });
+    if (await isBlockedBetween(userId, post.user_id)) return res.status(403).json({ error: 'Нельзя комментировать этот пост' });
 
-    if (answer === quiz.correct_answer) {
-      const stats = await UserStats.findOne({ user_id: userId });
-      stats.points += 200;
-      await stats.save();
-      logger.info(`Правильный ответ на викторину: ${quiz_id} пользователем ${userId}`);
-      res.json({ message: 'Правильный ответ, CP начислены' });
-    } else {
-      res.json({ message: 'Неправильный ответ' });
+    let parentId = null;
+    let replyToUserId;
+    if (parent_id) {
+      const parent = await Comment.findOne({ _id: parent_id, post_id: post._id });
+      if (!parent || parent.deleted_at) return res.status(404).json({ error: 'Комментарий не найден' });
+      // Ответ на ответ попадает в ту же ветку верхнего уровня
+      parentId = parent.parent_id || parent._id;
+      replyToUserId = parent.user_id;
     }
+
+    const screening = await screenContent(userId, 'comment', content_text);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
+    const comment = await Comment.create({
+      post_id: post._id,
+      user_id: userId,
+      parent_id: parentId,
+      reply_to_user_id: replyToUserId,
+      content_text: screening.text
+    });
+    await screening.record(comment._id);
+    await Post.updateOne({ _id: post._id }, { $inc: { comments_count: 1 } });
+    if (parentId) await Comment.updateOne({ _id: parentId }, { $inc: { replies_count: 1 } });
+    logger.info(`Комментарий добавлен: ${comment._id} к посту ${post._id}`);
+    res.status(201).json(comment);
   } catch (err) {
-    logger.error('Ошибка ответа на викторину:', err);
+    logger.error('Ошибка добавления комментария:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Просмотр рекламы
-app.post('/ad/view', authMiddleware, async (req, res) => {
+// Комментарии верхнего уровня к посту
+app.get('/posts/:id/comments', authMiddleware, requireTier('trial'), commentListValidation, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const stats = await UserStats.findOne({ user_id: userId });
-    if (stats.access_type === 'trial') {
-      stats.trial_time_spent = 0;
-      stats.access_type = 'express';
-      await stats.save();
-      await AdView.create({ user_id: userId });
-      logger.info(`Реклама просмотрена: ${userId}`);
-      res.json({ message: 'Реклама просмотрена, экспресс-доступ предоставлен' });
-    } else {
-      res.status(400).json({ error: 'Экспресс-доступ только для пробного периода' });
-    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    if (!(await findVisiblePost(req.user.id, req.params.id))) return res.status(404).json({ error: 'Пост не найден' });
+
+    const result = await listComments({
+      post_id: req.params.id,
+      parent_id: null,
+      $or: [{ deleted_at: null }, { replies_count: { $gt: 0 } }]
+    }, req);
+    if (!result) return res.status(400).json({ error: 'Неверный курсор' });
+    res.json(result);
   } catch (err) {
-    logger.error('Ошибка просмотра рекламы:', err);
+    logger.error('Ошибка получения комментариев:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Лайк поста
-app.post('/posts/:id/like', authMiddleware, async (req, res) => {
+// Ответы на комментарий
+app.get('/comments/:id/replies', authMiddleware, requireTier('trial'), commentListValidation, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const userId = req.user.id;
-    const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: 'Пост не найден' });
-    if (!post.likes.includes(userId)) {
-      post.likes.push(userId);
-      await post.save();
-      const stats = await UserStats.findOne({ user_id: userId });
-      stats.points += 1;
-      await stats.save();
-      logger.info(`Лайк поста: ${postId} пользователем ${userId}`);
-      res.json({ message: 'Лайк поставлен, CP начислены' });
-    } else {
-      res.status(400).json({ error: 'Уже лайкнуто' });
-    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const parent = await Comment.findById(req.params.id).select('post_id');
+    if (!parent || !(await findVisiblePost(req.user.id, parent.post_id))) return res.status(404).json({ error: 'Комментарий не найден' });
+
+    const result = await listComments({ parent_id: req.params.id, deleted_at: null }, req);
+    if (!result) return res.status(400).json({ error: 'Неверный курсор' });
+    res.json(result);
   } catch (err) {
-    logger.error('Ошибка лайка:', err);
+    logger.error('Ошибка получения ответов:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
 
-// Репост
-app.post('/posts/:id/repost', authMiddleware, async (req, res) => {
+// Редактирование комментария автором
+app.put('/comments/:id', authMiddleware, requireTier('trial'), commentValidation, async (req, res) => {
   try {
-    const postId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
+
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.deleted_at) return res.status(404).json({ error: 'Комментарий не найден' });
+    if (comment.user_id.toString() !== req.user.id) return res.status(403).json({ error: 'Недостаточно прав' });
+    const screening = await screenContent(req.user.id, 'comment', req.body.content_text);
+    if (screening.blocked) return res.status(422).json(contentRejected(screening));
+    comment.content_text = screening.text;
+    comment.edited_at = new Date();
+    await comment.save();
+    await screening.record(comment._id);
+    logger.info(`Комментарий изменён: ${comment._id}`);
+    res.json(comment);
+  } catch (err) {
+    logger.error('Ошибка изменения комментария:', err);
+    res.status(500).json({ error: 'Ошибка сервера', details: err.message });
+  }
+});
+
+// Удаление комментария автором, владельцем поста или модератором
+app.delete('/comments/:id', authMiddleware, requireTier('trial'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Неверный ID' });
     const userId = req.user.id;
-    const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: 'Пост не найден' });
-    if (!post.reposts.includes(userId)) {
-      post.reposts.push(userId);
-      await post.save();
-      const stats = await UserStats.findOne({ user_id: userId });
-      stats.points += 2;
-      await stats.save();
-      logger.info(`Репост: ${postId} пользователем ${userId}`);
-      res.json({ message: 'Репост сделан, CP начислены' });
-    } else {
-      res.status(400).json({ error: 'Уже репостнуто' });
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.deleted_at) return res.status(404).json({ error: 'Комментарий не найден' });
+
+    const post = await Post.findById(comment.post_id);
+    const isAuthor = comment.user_id.toString() === userId;
+    const isPostOwner = post && post.user_id.toString() === userId;
+    if (!isAuthor && !isPostOwner && !hasPermission(req.role, 'content:moderate')) {
+      return res.status(403).json({ error: 'Недостаточно прав' });
     }
+
+    comment.deleted_at = new Date();
+    comment.deleted_by = userId;
+    await comment.save();
+    await Post.updateOne({ _id: comment.post_id }, { $inc: { comments_count: -1 } });
+    if (comment.parent_id) await Comment.updateOne({ _id: comment.parent_id }, { $inc: { replies_count: -1 } });
+    logger.info(`Комментарий удалён: ${comment._id} пользователем ${userId}`);
+    res.json({ message: 'Комментарий удалён' });
   } catch (err) {
-    logger.error('Ошибка репоста:', err);
+    logger.error('Ошибка удаления комментария:', err);
     res.status(500).json({ error: 'Ошибка сервера', details: err.message });
   }
 });
@@ -858,76 +4112,119 @@ app.get('/api/stats/:userId', authMiddleware, async (req, res) => {
   }
 });
 
+// Аутентификация сокетов тем же JWT, что проверяет authMiddleware
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token || bearerToken(socket.handshake);
+  if (!token) return next(new Error('Токен не предоставлен'));
+  try {
+    const decoded = verifyAccessToken(token);
+    const stats = await UserStats.findOne({ user_id: decoded.id });
+    if (isTokenRevoked(decoded, stats)) return next(new Error('Токен отозван'));
+    if (decoded.sid && !(await sessions.isActive(decoded.sid))) return next(new Error('Сессия завершена'));
+    if (stats && stats.is_banned) return next(new Error('Пользователь забанен'));
+    const entitlements = await getEntitlements(decoded.id, stats);
+    if (!hasTier(entitlements.tier, 'trial')) return next(new Error('Пробный период истёк'));
+    socket.user = decoded;
+    next();
+  } catch (err) {
+    logger.error('Ошибка проверки токена сокета:', err);
+    next(new Error('Неверный токен'));
+  }
+});
+
 // WebSocket чат
 io.on('connection', (socket) => {
-  logger.info(`Пользователь подключён: ${socket.id}`);
-  socket.on('join', (data) => {
-    socket.join(data.userId);
-    logger.info(`Пользователь ${data.userId} присоединился`);
-  });
-  socket.on('message', async (msg) => {
-    logger.info(`Сообщение: ${JSON.stringify(msg)}`);
-    const message = {
-      sender_id: msg.senderId,
-      receiver_id: msg.receiverId,
-      message_text: msg.content,
-      created_at: new Date()
-    };
+  const userId = socket.user.id;
+  // Каждый сокет сразу попадает в собственную комнату пользователя и в комнату сессии
+  socket.join(userId);
+  if (socket.user.sid) socket.join(`session:${socket.user.sid}`);
+  logger.info(`Пользователь подключён: ${userId} (${socket.id})`);
+  markMessagesDelivered(userId).catch(err => logger.error('Ошибка отметки доставки:', err));
+  socket.on('message', async (msg, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!msg || !mongoose.isValidObjectId(msg.receiverId) || !msg.content || msg.receiverId === userId) {
+      return reply({ error: 'Неверное сообщение' });
+    }
     try {
-      const savedMessage = await Message.create(message);
-      io.to(msg.receiverId).emit('message', savedMessage);
-      logger.info(`Сообщение отправлено: ${savedMessage._id}`);
+      if (!(await canMessage(userId, msg.receiverId))) {
+        return reply({ error: 'Вы не можете отправлять сообщения этому пользователю' });
+      }
+      const screening = await screenContent(userId, 'message', String(msg.content));
+      if (screening.blocked) return reply(contentRejected(screening));
+      // Отправитель берётся из проверенного токена, а не из payload
+      const savedMessage = await sendDirectMessage(userId, msg.receiverId, screening.text);
+      await screening.record(savedMessage._id);
+      reply({ message: savedMessage });
     } catch (err) {
       logger.error('Ошибка сохранения сообщения:', err);
+      reply({ error: 'Ошибка сервера' });
+    }
+  });
+  socket.on('read', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!data || !mongoose.isValidObjectId(data.friendId)) return reply({ error: 'Неверный ID' });
+    try {
+      const messageIds = await markMessagesRead(userId, data.friendId);
+      reply({ messageIds });
+    } catch (err) {
+      logger.error('Ошибка отметки прочтения:', err);
+      reply({ error: 'Ошибка сервера' });
+    }
+  });
+  socket.on('match_join', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      // Уровень доступа мог измениться после подключения, поэтому проверяется при каждом входе
+      const { tier } = await getEntitlements(userId);
+      const preferences = pickPreferences(data || {});
+      if (!hasTier(tier, 'express')) return reply({ error: 'Недостаточный уровень доступа', required: 'express', current: tier });
+      if (!hasTier(tier, 'full') && MATCH_FILTER_FIELDS.some(field => preferences[field] !== undefined)) {
+        return reply({ error: 'Недостаточный уровень доступа', required: 'full', current: tier });
+      }
+      const entry = await joinMatchQueue(userId, preferences);
+      reply({ entry });
+    } catch (err) {
+      logger.error('Ошибка входа в очередь:', err);
+      reply({ error: 'Ошибка сервера' });
+    }
+  });
+  socket.on('match_leave', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      await leaveMatchQueue(userId);
+      reply({ ok: true });
+    } catch (err) {
+      logger.error('Ошибка выхода из очереди:', err);
+      reply({ error: 'Ошибка сервера' });
     }
   });
-  socket.on('disconnect', () => {
-    logger.info(`Пользователь отключён: ${socket.id}`);
+  for (const [event, response] of [['match_accept', 'accepted'], ['match_decline', 'declined']]) {
+    socket.on(event, async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!data || !mongoose.isValidObjectId(data.proposalId)) return reply({ error: 'Неверный ID' });
+      try {
+        const proposal = await respondToMatch(userId, data.proposalId, response);
+        reply(proposal ? { status: proposal.status } : { error: 'Предложение не найдено' });
+      } catch (err) {
+        logger.error('Ошибка ответа на матч:', err);
+        reply({ error: 'Ошибка сервера' });
+      }
+    });
+  }
+  socket.on('disconnect', async () => {
+    logger.info(`Пользователь отключён: ${userId} (${socket.id})`);
+    // Последнее подключение закрыто - пользователь покидает очередь матчинга
+    try {
+      const remaining = await io.in(userId).fetchSockets();
+      if (!remaining.length) await leaveMatchQueue(userId);
+    } catch (err) {
+      logger.error('Ошибка выхода из очереди:', err);
+    }
   });
 });
 
 // Тестовый маршрут
 app.get('/', (req, res) => res.send('CHOIZZE Backend API'));
 
-// Обработчик вебхука от PAYEER
-app.post('/payeer_webhook', async (req, res) => {
-  const { m_orderid, m_amount, m_curr, m_desc } = req.body;
-
-  // Проверяем, что платеж прошел успешно
-  if (req.body.m_status === 'success') {
-    const payment = new Payment({
-      payeerId: m_orderid,
-      amount: m_amount,
-      currency: m_curr,
-      protectionCode: m_desc
-    });
-    
-    await payment.save();
-
-    console.log(`[PAYEER Webhook] Received payment for order: ${m_orderid}. Launching check script.`);
-
-    // Запускаем скрипт puppeteer в отдельном процессе
-    const puppeteerProcess = spawn('node', ['check_payeer.js', m_orderid]);
-
-    puppeteerProcess.stdout.on('data', (data) => {
-      console.log(`[PAYEER Check Script] stdout: ${data}`);
-    });
-    
-    puppeteerProcess.stderr.on('data', (data) => {
-      console.error(`[PAYEER Check Script] stderr: ${data}`);
-    });
-    
-    puppeteerProcess.on('close', (code) => {
-      console.log(`[PAYEER Check Script] exited with code ${code}`);
-      // Здесь можно добавить логику, что делать после проверки
-    });
-
-    res.status(200).send('OK');
-  } else {
-    console.error(`[PAYEER Webhook] Received unsuccessful status for order: ${m_orderid}`);
-    res.status(400).send('Bad Request');
-  }
-});
-
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => logger.info(`Сервер запущен на http://localhost:${PORT}`));
\ No newline at end of file
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Короткий access-токен и refresh-токен сессии, который меняется при каждом обновлении
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Сколько прежних refresh-токенов сессии помнить для обнаружения повторного использования
+const REFRESH_HISTORY_SIZE = 20;
+// Сколько только что заменённый refresh-токен ещё принимается: параллельное обновление из другой
+// вкладки или повтор запроса, ответ на который потерялся, не считаются повторным использованием
+const REFRESH_REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET не задан');
+  return process.env.JWT_SECRET;
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, getSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+
+const verifyAccessToken = (token) => jwt.verify(token, getSecret());
+
+const bearerToken = (req) => req.headers.authorization?.split(' ')[1];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh-токен: ID сессии и случайная часть. В базе хранится только хеш
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+// Следующий refresh-токен выводится из предъявленного ключом сервера: параллельные обновления
+// одним и тем же токеном получают один и тот же новый токен, а не разные ветки цепочки
+const nextRefreshToken = (sessionId, token) =>
+  `${sessionId}.${crypto.createHmac('sha256', getSecret()).update(`refresh:${token}`).digest('base64url')}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = typeof token === 'string' ? token.split('.') : [];
+  return sessionId && secret && /^[a-f0-9]{24}$/.test(sessionId) ? sessionId : null;
+};
+
+class RefreshTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Сессии устройств. Каждое обновление выдаёт новый refresh-токен; предъявление уже заменённого
+// токена означает утечку, и сессия (вся цепочка токенов) отзывается
+const createSessionService = ({ Session, logger }) => {
+  const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const clientInfo = (req) => ({ ip: req.ip, user_agent: (req.get('user-agent') || '').slice(0, 300) });
+
+  const tokensFor = (session, refreshToken) => ({
+    token: signAccessToken(session.user_id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+  async function issue(userId, req) {
+    const session = new Session({ user_id: userId, ...clientInfo(req), expires_at: refreshExpiry() });
+    const refreshToken = generateRefreshToken(session._id);
+    session.refresh_hash = hashToken(refreshToken);
+    await session.save();
+    return tokensFor(session, refreshToken);
+  }
+
+  async function refresh(refreshToken, req) {
+    const sessionId = parseRefreshToken(refreshToken);
+    if (!sessionId) throw new RefreshTokenError('Неверный refresh-токен', 'INVALID');
+    const hash = hashToken(refreshToken);
+    const nextToken = nextRefreshToken(sessionId, refreshToken);
+    const nextHash = hashToken(nextToken);
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, refresh_hash: hash, revoked_at: null, expires_at: { $gt: now } },
+      {
+        $set: {
+          refresh_hash: nextHash,
+          rotated_at: now,
+          last_used_at: now,
+          expires_at: refreshExpiry(),
+          ...clientInfo(req)
+        },
+        $push: { previous_hashes: { $each: [hash], $slice: -REFRESH_HISTORY_SIZE } }
+      },
+      { new: true }
+    );
+    if (session) return tokensFor(session, nextToken);
+
+    // Токен заменён последним обновлением не раньше REFRESH_REUSE_GRACE_MS назад и выведенный из него
+    // токен ещё действует: повторный или параллельный запрос получает ту же пару, сессия не меняется
+    const concurrent = await Session.findOne({
+      _id: sessionId,
+      refresh_hash: nextHash,
+      rotated_at: { $gt: new Date(now.getTime() - REFRESH_REUSE_GRACE_MS) },
+      revoked_at: null,
+      expires_at: { $gt: now }
+    });
+    if (concurrent) return tokensFor(concurrent, nextToken);
+
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previous_hashes: hash, revoked_at: null },
+      { revoked_at: now, revoked_reason: 'reuse' }
+    );
+    if (reused) {
+      logger.warn(`Повторное использование refresh-токена, сессия отозвана: ${sessionId} (${req.ip})`);
+      throw new RefreshTokenError('Refresh-токен уже использован, сессия отозвана', 'REUSED');
+    }
+    throw new RefreshTokenError('Неверный или истёкший refresh-токен', 'INVALID');
+  }
+
+  const revoke = (userId, sessionId, reason) =>
+    Session.findOneAndUpdate({ _id: sessionId, user_id: userId, revoked_at: null }, { revoked_at: new Date(), revoked_reason: reason });
+
+  // exceptSessionId: сессия, которая остаётся активной (например, текущая при смене пароля)
+  const revokeAll = (userId, reason, exceptSessionId) => Session.updateMany(
+    { user_id: userId, revoked_at: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+
+  const isActive = (sessionId) => Session.exists({ _id: sessionId, revoked_at: null, expires_at: { $gt: new Date() } });
+
+  const list = (userId) => Session.find({ user_id: userId, revoked_at: null, expires_at: { $gt: new Date() } })
+    .sort({ last_used_at: -1 })
+    .select('ip user_agent created_at last_used_at expires_at');
+
+  return { issue, refresh, revoke, revokeAll, isActive, list };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  REFRESH_REUSE_GRACE_MS,
+  signAccessToken,
+  verifyAccessToken,
+  bearerToken,
+  hashToken,
+  RefreshTokenError,
+  createSessionService
+};
@@ -0,0 +1,69 @@
+// Уровни доступа по возрастанию; none - пробный период истёк, доступа нет
+const TIERS = ['none', 'trial', 'express', 'full'];
+
+const TRIAL_LIMIT_MINUTES = parseInt(process.env.TRIAL_LIMIT_MINUTES) || 30;
+const EXPRESS_ACCESS_HOURS = parseInt(process.env.EXPRESS_ACCESS_HOURS) || 24;
+// Льготный период после окончания подписки
+const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS ?? '3');
+
+// Перерыв между запросами дольше этого не считается временем пробного периода
+const ACTIVITY_GAP_MINUTES = 5;
+
+const hasTier = (tier, required) => TIERS.indexOf(tier) >= TIERS.indexOf(required);
+
+// Минуты активности с прошлого запроса
+const activeMinutesSince = (lastActive, now = new Date()) => {
+  if (!lastActive) return 0;
+  const minutes = (now - new Date(lastActive)) / 1000 / 60;
+  return minutes > 0 && minutes <= ACTIVITY_GAP_MINUTES ? minutes : 0;
+};
+
+// Состояние подписки на момент now. Фоновая обработка переводит подписку в grace с задержкой,
+// поэтому активная подписка с прошедшим end_date уже считается льготной до end_date + SUBSCRIPTION_GRACE_DAYS
+const subscriptionState = (subscription, now = new Date()) => {
+  const endDate = new Date(subscription.end_date);
+  if (subscription.status === 'active') {
+    if (endDate > now) return { status: 'active', grace_until: null };
+    const graceUntil = new Date(endDate.getTime() + SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    return { status: graceUntil > now ? 'grace' : 'expired', grace_until: graceUntil };
+  }
+  if (subscription.status === 'grace') {
+    const graceUntil = new Date(subscription.grace_until);
+    return { status: graceUntil > now ? 'grace' : 'expired', grace_until: graceUntil };
+  }
+  return { status: subscription.status, grace_until: subscription.grace_until || null };
+};
+
+// Действующий уровень доступа: подписка > реклама > пробный период
+const resolveEntitlements = ({ trialMinutesSpent = 0, lastAdViewAt, subscription, now = new Date() }) => {
+  const trial = {
+    spent_minutes: Math.round(trialMinutesSpent * 100) / 100,
+    limit_minutes: TRIAL_LIMIT_MINUTES,
+    remaining_minutes: Math.max(0, Math.round((TRIAL_LIMIT_MINUTES - trialMinutesSpent) * 100) / 100)
+  };
+  const state = subscription && subscriptionState(subscription, now);
+  if (state && state.status === 'active') {
+    return { tier: 'full', source: 'subscription', expires_at: subscription.end_date, subscription_id: subscription._id, trial };
+  }
+  // Льготный период после окончания подписки сохраняет полный доступ
+  if (state && state.status === 'grace') {
+    return { tier: 'full', source: 'subscription_grace', expires_at: state.grace_until, subscription_id: subscription._id, trial };
+  }
+  if (lastAdViewAt) {
+    const expiresAt = new Date(new Date(lastAdViewAt).getTime() + EXPRESS_ACCESS_HOURS * 60 * 60 * 1000);
+    if (expiresAt > now) return { tier: 'express', source: 'ad_view', expires_at: expiresAt, trial };
+  }
+  if (trialMinutesSpent < TRIAL_LIMIT_MINUTES) return { tier: 'trial', source: 'trial', expires_at: null, trial };
+  return { tier: 'none', source: 'trial_expired', expires_at: null, trial };
+};
+
+module.exports = {
+  TIERS,
+  TRIAL_LIMIT_MINUTES,
+  EXPRESS_ACCESS_HOURS,
+  SUBSCRIPTION_GRACE_DAYS,
+  hasTier,
+  activeMinutesSince,
+  subscriptionState,
+  resolveEntitlements
+};
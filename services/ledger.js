@@ -0,0 +1,175 @@
+// Счета книги CP: счёт пользователя и системные счета-контрагенты
+const userAccount = (userId) => `user:${userId}`;
+
+const SYSTEM_ACCOUNTS = {
+  rewards: 'system:rewards',
+  payments: 'system:payments',
+  revenue: 'system:revenue',
+  refunds: 'system:refunds',
+  opening: 'system:opening'
+};
+
+class InsufficientFundsError extends Error {
+  constructor(userId) {
+    super('Недостаточно CP');
+    this.code = 'INSUFFICIENT_FUNDS';
+    this.userId = userId;
+  }
+}
+
+// У пользователя нет записи UserStats, проводить по его счёту нечего
+class AccountNotFoundError extends Error {
+  constructor(userId) {
+    super('Счёт пользователя не найден');
+    this.code = 'ACCOUNT_NOT_FOUND';
+    this.userId = userId;
+  }
+}
+
+// Транзакции MongoDB работают только на наборе реплик или через mongos. Книга проводит каждое
+// изменение баланса в транзакции, поэтому сервер без их поддержки не запускается
+async function assertTransactionSupport(connection) {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error('MongoDB без набора реплик: транзакции книги CP не поддерживаются. Запустите mongod с --replSet или подключитесь к mongos');
+  }
+}
+
+// Книга CP с двойной записью. Каждая проводка - один документ, сумма записей равна нулю,
+// баланс UserStats.points меняется в той же транзакции MongoDB.
+const createLedger = ({ connection, LedgerTransaction, UserStats }) => {
+  const findByKey = (key, session) => LedgerTransaction.findOne({ idempotency_key: key }).session(session || null);
+
+  // Входящий остаток для пользователей, у которых баланс появился до ведения книги
+  async function ensureOpeningBalance(userId, session) {
+    const account = userAccount(userId);
+    if (await LedgerTransaction.exists({ 'entries.account': account }).session(session)) return;
+    const stats = await UserStats.findOne({ user_id: userId }).session(session);
+    if (!stats || !stats.points) return;
+    await LedgerTransaction.create([{
+      idempotency_key: `opening_balance:${userId}`,
+      reason: 'opening_balance',
+      entries: [
+        { account, user_id: userId, amount: stats.points, balance_after: stats.points },
+        { account: SYSTEM_ACCOUNTS.opening, amount: -stats.points }
+      ]
+    }], { session });
+  }
+
+  // Проводка. Повтор с тем же ключом возвращает существующую проводку без изменений
+  async function post({ key, reason, refType, refId, entries, allowNegative = false }) {
+    if (!key) throw new Error('Не задан ключ идемпотентности');
+    if (entries.reduce((sum, e) => sum + e.amount, 0) !== 0) throw new Error('Проводка не сбалансирована');
+
+    const existing = await findByKey(key);
+    if (existing) return { transaction: existing, created: false };
+
+    const session = await connection.startSession();
+    try {
+      let transaction;
+      await session.withTransaction(async () => {
+        const prepared = [];
+        for (const entry of entries) {
+          if (!entry.user_id) {
+            prepared.push(entry);
+            continue;
+          }
+          await ensureOpeningBalance(entry.user_id, session);
+          const filter = { user_id: entry.user_id };
+          if (entry.amount < 0 && !allowNegative) filter.points = { $gte: -entry.amount };
+          const stats = await UserStats.findOneAndUpdate(filter, { $inc: { points: entry.amount } }, { new: true, session });
+          if (!stats) {
+            const exists = await UserStats.exists({ user_id: entry.user_id }).session(session);
+            throw exists ? new InsufficientFundsError(entry.user_id) : new AccountNotFoundError(entry.user_id);
+          }
+          prepared.push({ ...entry, account: userAccount(entry.user_id), balance_after: stats.points });
+        }
+        [transaction] = await LedgerTransaction.create([{
+          idempotency_key: key,
+          reason,
+          ref_type: refType,
+          ref_id: refId,
+          entries: prepared
+        }], { session });
+      });
+      return { transaction, created: true };
+    } catch (err) {
+      // Параллельный запрос с тем же ключом успел первым
+      if (err.code === 11000) {
+        const transaction = await findByKey(key);
+        if (transaction) return { transaction, created: false };
+      }
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Начисление пользователю со системного счёта
+  const credit = (userId, amount, { key, reason, refType, refId, from = SYSTEM_ACCOUNTS.rewards }) => post({
+    key,
+    reason,
+    refType,
+    refId,
+    entries: [
+      { account: userAccount(userId), user_id: userId, amount },
+      { account: from, amount: -amount }
+    ]
+  });
+
+  // Списание с пользователя на системный счёт; без allowNegative баланс не уходит в минус
+  const debit = (userId, amount, { key, reason, refType, refId, to = SYSTEM_ACCOUNTS.revenue, allowNegative = false }) => post({
+    key,
+    reason,
+    refType,
+    refId,
+    allowNegative,
+    entries: [
+      { account: userAccount(userId), user_id: userId, amount: -amount },
+      { account: to, amount }
+    ]
+  });
+
+  // История записей по счёту пользователя, от новых к старым
+  async function history(userId, { before, limit = 50 } = {}) {
+    const account = userAccount(userId);
+    const query = { 'entries.account': account };
+    if (before) query.created_at = { $lt: before };
+    const transactions = await LedgerTransaction.find(query).sort({ created_at: -1, _id: -1 }).limit(limit);
+    return transactions.map(t => {
+      const entry = t.entries.find(e => e.account === account);
+      return {
+        id: t._id,
+        amount: entry.amount,
+        balance_after: entry.balance_after,
+        reason: t.reason,
+        ref_type: t.ref_type,
+        ref_id: t.ref_id,
+        created_at: t.created_at
+      };
+    });
+  }
+
+  // Баланс, посчитанный по книге, для сверки с UserStats.points
+  async function balanceOf(userId) {
+    const account = userAccount(userId);
+    const [result] = await LedgerTransaction.aggregate([
+      { $match: { 'entries.account': account } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': account } },
+      { $group: { _id: null, balance: { $sum: '$entries.amount' } } }
+    ]);
+    return result ? result.balance : null;
+  }
+
+  return { post, credit, debit, history, balanceOf };
+};
+
+module.exports = {
+  createLedger,
+  assertTransactionSupport,
+  userAccount,
+  SYSTEM_ACCOUNTS,
+  InsufficientFundsError,
+  AccountNotFoundError
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMTP через nodemailer
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || 587,
+    secure: !!secure,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+};
+
+// Письма в файлы каталога: для локальной разработки, ссылки из писем открываются вручную
+const createFileTransport = ({ dir, from }) => ({
+  async send({ to, subject, text }) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${to.replace(/[^a-z0-9@._-]/gi, '_')}.txt`;
+    await fs.promises.writeFile(path.join(dir, name), `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+  }
+});
+
+// Письма в лог
+const createConsoleTransport = ({ logger }) => ({
+  async send({ to, subject, text }) {
+    logger.info(`Письмо для ${to}: ${subject}\n${text}`);
+  }
+});
+
+// Выбор транспорта по MAIL_TRANSPORT: smtp, file или console (по умолчанию)
+const createMailer = ({ logger }, env = process.env) => {
+  const from = env.MAIL_FROM || 'CHOIZZE <no-reply@choizze.com>';
+  if (env.MAIL_TRANSPORT === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from
+    });
+  }
+  if (env.MAIL_TRANSPORT === 'file') return createFileTransport({ dir: path.resolve(env.MAIL_DIR || 'mail'), from });
+  return createConsoleTransport({ logger });
+};
+
+// Тексты писем. baseUrl - адрес фронтенда, куда ведут ссылки с токеном
+const templates = {
+  verifyEmail: ({ baseUrl, token, username }) => ({
+    subject: 'Подтверждение email',
+    text: `Здравствуйте, ${username}!\n\nПодтвердите адрес почты по ссылке:\n${baseUrl}/verify-email?token=${token}\n\n` +
+      'Ссылка действует 24 часа. Если вы не регистрировались в CHOIZZE, просто проигнорируйте письмо.'
+  }),
+  changeEmail: ({ baseUrl, token, username }) => ({
+    subject: 'Подтверждение нового email',
+    text: `Здравствуйте, ${username}!\n\nЧтобы сменить адрес почты на этот, перейдите по ссылке:\n${baseUrl}/verify-email?token=${token}\n\n` +
+      'Ссылка действует 24 часа. Если вы не меняли адрес, проигнорируйте письмо.'
+  }),
+  emailChangeNotice: ({ username, newEmail }) => ({
+    subject: 'Смена email',
+    text: `Здравствуйте, ${username}!\n\nЗапрошена смена адреса почты на ${newEmail}. Адрес изменится после подтверждения по ссылке из письма на новый адрес.\n\n` +
+      'Если это были не вы, смените пароль.'
+  }),
+  resetPassword: ({ baseUrl, token, username }) => ({
+    subject: 'Восстановление пароля',
+    text: `Здравствуйте, ${username}!\n\nДля смены пароля перейдите по ссылке:\n${baseUrl}/reset-password?token=${token}\n\n` +
+      'Ссылка действует 1 час. Если вы не запрашивали восстановление, проигнорируйте письмо.'
+  }),
+  passwordChanged: ({ username }) => ({
+    subject: 'Пароль изменён',
+    text: `Здравствуйте, ${username}!\n\nПароль от аккаунта изменён, все остальные сеансы завершены.\n\n` +
+      'Если это были не вы, восстановите доступ через «Забыли пароль».'
+  })
+};
+
+module.exports = { createMailer, createSmtpTransport, createFileTransport, createConsoleTransport, templates };
@@ -0,0 +1,62 @@
+// Веса составляющих оценки кандидата (в сумме 100)
+const MATCH_WEIGHTS = { overlap: 40, city: 25, activity: 25, waiting: 10 };
+
+// Активность старше этого срока почти не влияет на оценку
+const ACTIVITY_HALF_LIFE_HOURS = 24;
+const WAITING_FULL_BONUS_MINUTES = 5;
+
+const normalizeCity = (city) => (city || '').trim().toLowerCase();
+
+// Возраст по дате рождения, null если дата неизвестна
+const getAge = (birthDate, now = new Date()) => {
+  if (!birthDate) return null;
+  const birth = new Date(birthDate);
+  let age = now.getFullYear() - birth.getFullYear();
+  const monthDiff = now.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birth.getDate())) age -= 1;
+  return age;
+};
+
+// Критерии предпочтений и выполнены ли они для профиля
+const checkPreferences = (profile, preferences = {}, now = new Date()) => {
+  const checks = {};
+  if (preferences.gender) checks.gender = profile.gender === preferences.gender;
+  if (preferences.age_min || preferences.age_max) {
+    const age = getAge(profile.birth_date, now);
+    checks.age = age !== null &&
+      (!preferences.age_min || age >= preferences.age_min) &&
+      (!preferences.age_max || age <= preferences.age_max);
+  }
+  if (preferences.city) checks.city = normalizeCity(profile.city) === normalizeCity(preferences.city);
+  return checks;
+};
+
+// Оценка кандидата для пользователя, null если пол не подходит хотя бы одной стороне.
+// me и candidate: { profile, preferences, last_active, joined_at }
+const scoreCandidate = (me, candidate, now = new Date()) => {
+  const mine = checkPreferences(candidate.profile, me.preferences, now);
+  const theirs = checkPreferences(me.profile, candidate.preferences, now);
+  if (mine.gender === false || theirs.gender === false) return null;
+
+  const results = [...Object.values(mine), ...Object.values(theirs)];
+  const overlap = results.length ? results.filter(Boolean).length / results.length : 0.5;
+  const sameCity = !!normalizeCity(me.profile.city) && normalizeCity(me.profile.city) === normalizeCity(candidate.profile.city);
+  const hoursInactive = candidate.last_active ? Math.max(0, (now - new Date(candidate.last_active)) / 36e5) : Infinity;
+  const activity = Math.pow(0.5, hoursInactive / ACTIVITY_HALF_LIFE_HOURS);
+  const waitingMinutes = candidate.joined_at ? (now - new Date(candidate.joined_at)) / 6e4 : 0;
+  const waiting = Math.min(1, Math.max(0, waitingMinutes) / WAITING_FULL_BONUS_MINUTES);
+
+  const score = MATCH_WEIGHTS.overlap * overlap +
+    MATCH_WEIGHTS.city * (sameCity ? 1 : 0) +
+    MATCH_WEIGHTS.activity * activity +
+    MATCH_WEIGHTS.waiting * waiting;
+  return Math.round(score * 100) / 100;
+};
+
+// Кандидаты по убыванию оценки, неподходящие отброшены
+const rankCandidates = (me, candidates, now = new Date()) => candidates
+  .map(candidate => ({ candidate, score: scoreCandidate(me, candidate, now) }))
+  .filter(item => item.score !== null)
+  .sort((a, b) => b.score - a.score);
+
+module.exports = { MATCH_WEIGHTS, getAge, checkPreferences, scoreCandidate, rankCandidates };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// Допустимые типы файлов
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'image/gif': { kind: 'image', ext: 'gif' },
+  'video/mp4': { kind: 'video', ext: 'mp4' },
+  'video/quicktime': { kind: 'video', ext: 'mov' },
+  'video/webm': { kind: 'video', ext: 'webm' }
+};
+
+// Максимальный размер файла по уровню доступа, 0 - тип недоступен
+const UPLOAD_LIMITS = {
+  trial: { image: 5 * MB, video: 0 },
+  express: { image: 10 * MB, video: 25 * MB },
+  full: { image: 20 * MB, video: 100 * MB }
+};
+
+// Тип определяется по сигнатуре файла, заголовку клиента не доверяем
+const detectMime = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'image/gif';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (['isom', 'iso2', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'].includes(brand)) return 'video/mp4';
+  }
+  return null;
+};
+
+// Ключ файла в хранилище
+const buildMediaKey = (userId, kind, ext) => `${kind}s/${userId}/${crypto.randomBytes(16).toString('hex')}.${ext}`;
+
+// Превью изображения; заодно проверяет, что файл действительно декодируется
+const createThumbnail = (buffer) => sharp(buffer, { animated: false })
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+module.exports = { MEDIA_TYPES, UPLOAD_LIMITS, detectMime, buildMediaKey, createThumbnail };
@@ -0,0 +1,158 @@
+// Фильтр контента: цепочка правил над текстом поста, комментария, сообщения или профиля.
+// Правило возвращает совпадения (отрезки текста) или null; действие правила зависит от типа контента
+const ACTIONS = ['mask', 'flag', 'block'];
+
+// Похожие по начертанию символы: латиница и кириллица, которые выглядят одинаково, и цифры/знаки вместо букв.
+// Созвучные замены (х-h, у-u, с-s, и-i) не допускаются: они совпадают с обычными словами и именами
+const SUBSTITUTIONS = {
+  а: 'aа@4', б: 'б6', в: 'вb8', г: 'гr', д: 'д', е: 'еeё3', ё: 'ёеe', ж: 'ж', з: 'з3', и: 'и',
+  й: 'йи', к: 'кk', л: 'л', м: 'мm', н: 'нh', о: 'оo0', п: 'пn', р: 'рp', с: 'сc', т: 'тt',
+  у: 'уy', ф: 'ф', х: 'хx', ц: 'ц', ч: 'ч4', ш: 'ш', щ: 'щ', ъ: 'ъь', ы: 'ы', ь: 'ьb', э: 'э',
+  ю: 'ю', я: 'я',
+  a: 'aа@4', b: 'b6ь', c: 'cс(', d: 'd', e: 'eе3', f: 'f', g: 'g9', h: 'hн', i: 'i1!|l', j: 'j',
+  k: 'kк', l: 'l1|i', m: 'mм', n: 'nп', o: 'oо0', p: 'pр', q: 'q', r: 'rг', s: 's$5', t: 't7+т',
+  u: 'uv', v: 'vu', w: 'w', x: 'xх', y: 'yу', z: 'z'
+};
+
+// Между буквами допускаются разделители: «х.у.й», «f u c k»
+const SEPARATOR = '[\\s._\\-*]*';
+
+const escapeClass = (chars) => chars.replace(/[\\\]^-]/g, '\\$&');
+
+// Регулярное выражение для слова списка с учётом подмен и повторов букв
+const wordPattern = (word) => {
+  const stem = word.endsWith('*') ? word.slice(0, -1) : word;
+  const letters = [...stem.toLowerCase()].map(ch => `[${escapeClass(SUBSTITUTIONS[ch] || ch)}]+`);
+  return `(?<![\\p{L}\\d])${letters.join(SEPARATOR)}${word.endsWith('*') ? '\\p{L}*' : ''}(?![\\p{L}\\d])`;
+};
+
+const findSpans = (regex, text) => [...text.matchAll(regex)].map(m => [m.index, m.index + m[0].length]);
+
+// Запрещённые слова
+const createWordListRule = ({ name = 'profanity', words }) => {
+  const regex = words.length ? new RegExp(words.map(wordPattern).join('|'), 'giu') : null;
+  return {
+    name,
+    check(text) {
+      if (!regex) return null;
+      const spans = findSpans(regex, text);
+      return spans.length ? { spans } : null;
+    }
+  };
+};
+
+const URL_REGEX = /(?:https?:\/\/|www\.)[^\s]+|(?<![\p{L}\d@.])(?:[a-z0-9-]+\.)+(?:ru|com|net|org|io|me|su|info|xyz|top|site|online|shop|biz|cc|ly|gg|tk|to)(?:\/[^\s]*)?(?![\p{L}\d])|t\.me\/[^\s]+/giu;
+
+const hostOf = (url) => url.replace(/^(?:https?:\/\/)?(?:www\.)?/i, '').split(/[/?#:]/)[0].toLowerCase();
+
+// Ссылки, кроме разрешённых доменов и их поддоменов
+const createLinkRule = ({ name = 'links', allowedDomains = [] }) => ({
+  name,
+  check(text) {
+    const spans = findSpans(URL_REGEX, text).filter(([start, end]) => {
+      const host = hostOf(text.slice(start, end));
+      return !allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    });
+    return spans.length ? { spans } : null;
+  }
+});
+
+// Спам: слишком много ссылок или длинный повтор одного символа
+const createSpamRule = ({ name = 'spam', maxLinks = 3, maxRepeatedChars = 12 }) => {
+  const repeated = new RegExp(`(.)\\1{${maxRepeatedChars - 1},}`, 'gu');
+  return {
+    name,
+    check(text) {
+      const links = findSpans(URL_REGEX, text);
+      if (links.length > maxLinks) return { spans: links, reason: `ссылок: ${links.length}` };
+      const runs = findSpans(repeated, text);
+      return runs.length ? { spans: runs, reason: 'повтор символов' } : null;
+    }
+  };
+};
+
+const normalizeForFlood = (text) => text.toLowerCase().replace(/[\s\p{P}]+/gu, ' ').trim();
+
+// Флуд: один и тот же текст от пользователя больше maxDuplicates раз за окно.
+// Счётчики в памяти процесса; при нескольких процессах каждый считает свои
+const createFloodRule = ({ name = 'flood', maxDuplicates = 3, windowSeconds = 60 }) => {
+  const recent = new Map();
+  const windowMs = windowSeconds * 1000;
+  return {
+    name,
+    check(text, { userId, now = Date.now() }) {
+      if (!userId) return null;
+      const key = `${userId}:${normalizeForFlood(text)}`;
+      const times = (recent.get(key) || []).filter(t => now - t < windowMs);
+      times.push(now);
+      recent.set(key, times);
+      // Старые ключи удаляются, чтобы карта не росла без ограничений
+      if (recent.size > 10000) {
+        for (const [k, v] of recent) if (now - v[v.length - 1] >= windowMs) recent.delete(k);
+      }
+      return times.length > maxDuplicates ? { spans: [[0, text.length]], reason: `повторов: ${times.length}` } : null;
+    }
+  };
+};
+
+// Маскировка отрезков текста звёздочками с сохранением пробелов
+const maskSpans = (text, spans) => {
+  const chars = [...text];
+  const offsets = [];
+  let offset = 0;
+  for (const ch of chars) {
+    offsets.push(offset);
+    offset += ch.length;
+  }
+  return chars.map((ch, i) => spans.some(([start, end]) => offsets[i] >= start && offsets[i] < end) && /\S/.test(ch) ? '*' : ch).join('');
+};
+
+// Цепочка правил. rules: [{ rule, actions: { action, post, comment, message, profile } }]
+// Результат: итоговое действие (самое строгое), текст после маскировки и список срабатываний
+const createContentFilter = (rules) => ({
+  check(text, context = {}) {
+    if (typeof text !== 'string' || !text) return { action: 'allow', text, hits: [] };
+    const hits = [];
+    for (const { rule, actions } of rules) {
+      const action = actions[context.type] || actions.action;
+      if (!action || (actions.types && !actions.types.includes(context.type))) continue;
+      const match = rule.check(text, context);
+      if (!match) continue;
+      hits.push({
+        rule: rule.name,
+        action,
+        reason: match.reason,
+        matches: match.spans.map(([start, end]) => text.slice(start, end)).slice(0, 10),
+        spans: match.spans
+      });
+    }
+    const severity = Math.max(-1, ...hits.map(hit => ACTIONS.indexOf(hit.action)));
+    const masked = hits.filter(hit => hit.action === 'mask').flatMap(hit => hit.spans);
+    return {
+      action: severity < 0 ? 'allow' : ACTIONS[severity],
+      flagged: hits.some(hit => hit.action === 'flag'),
+      text: masked.length ? maskSpans(text, masked) : text,
+      hits: hits.map(({ spans, ...hit }) => hit)
+    };
+  }
+});
+
+// Фильтр по конфигурации config/moderation.js
+const createDefaultContentFilter = (config) => createContentFilter([
+  { rule: createFloodRule(config.flood), actions: { ...config.rules.flood, types: ['post', 'comment', 'message'] } },
+  { rule: createSpamRule(config.spam), actions: config.rules.spam },
+  { rule: createWordListRule({ words: Object.values(config.wordLists).flat() }), actions: config.rules.profanity },
+  { rule: createLinkRule({ allowedDomains: config.allowedDomains }), actions: config.rules.links }
+]);
+
+module.exports = {
+  ACTIONS,
+  wordPattern,
+  maskSpans,
+  createWordListRule,
+  createLinkRule,
+  createSpamRule,
+  createFloodRule,
+  createContentFilter,
+  createDefaultContentFilter
+};
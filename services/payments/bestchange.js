@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const {
+  USDT_MIN_CONFIRMATIONS,
+  toTokenUnits,
+  fromTokenUnits,
+  validateTransfer,
+  deriveDepositAddress
+} = require('../tron');
+
+// Инструкция оплаты через BestChange. Перевод определяется по адресу и сумме заказа
+const buildInstructions = (order, resultText) => `
+      1. Перейдите на BestChange.
+      2. Выберите способ оплаты (Visa/MasterCard, YooMoney, Qiwi) и USDT TRC-20.
+      3. Выберите обменник без KYC.
+      4. Отправьте ${fromTokenUnits(order.expected_amount).toFixed(6)} USDT (TRC-20) на адрес: ${order.deposit_address}
+      5. Сумма и адрес привязаны к заказу ${order.verification_code}, не округляйте сумму.
+      6. ${resultText} в течение 10 минут после подтверждения перевода в сети.
+      Рекомендуемые обменники:
+      - 365Cash: Карты, YooMoney, быстро.
+      - BitHunter: Qiwi, SBP, без KYC.
+      - WW-Pay: Карты, низкие комиссии.
+    `;
+
+// Сколько ждать номер блока для перевода, который TronGrid уже отдал как подтверждённый
+const BLOCK_LOOKUP_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Провайдер BestChange: оплата переводом USDT TRC-20, поиск оплат сверкой переводов в сети.
+// idleScanIntervalMs и idleScanLimit: как часто и сколько за проход проверять личные адреса без открытых заказов.
+// now - часы сверки в мс (в тестах фиксированное время под записанные переводы)
+const createBestChangeProvider = ({
+  Transaction,
+  DepositAddress,
+  ChainTransfer,
+  SyncCursor,
+  tronClient,
+  xpub,
+  wallet,
+  orderTtlMs,
+  idleScanIntervalMs = 60 * 60 * 1000,
+  idleScanLimit = 20,
+  now = Date.now,
+  logger
+}) => {
+  // Адрес для депозитов пользователя из xpub; без ключа все платят на общий кошелёк
+  async function getDepositAddress(userId) {
+    if (!xpub) return { address: wallet, shared: true };
+    const existing = await DepositAddress.findOne({ user_id: userId });
+    if (existing) return { address: existing.address, shared: false };
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const last = await DepositAddress.findOne().sort({ index: -1 }).select('index');
+      const index = last ? last.index + 1 : 0;
+      try {
+        const deposit = await DepositAddress.create({ user_id: userId, index, ...deriveDepositAddress(xpub, index) });
+        logger.info(`Адрес для депозитов выдан: ${deposit.address} (${deposit.derivation_path}) пользователю ${userId}`);
+        return { address: deposit.address, shared: false };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        // Параллельный запрос того же пользователя уже создал адрес
+        const created = await DepositAddress.findOne({ user_id: userId });
+        if (created) return { address: created.address, shared: false };
+      }
+    }
+    throw new Error('Не удалось выдать адрес для депозитов');
+  }
+
+  // Заказ для перевода: сначала по точной сумме, на личном адресе - самый ранний заказ, который покрывает сумма.
+  // Заказ мог истечь, пока перевод набирал подтверждения, поэтому истёкшие тоже подходят
+  async function findOrder(record) {
+    const paidAt = record.block_timestamp;
+    const base = {
+      payment_method: 'BESTCHANGE',
+      status: { $in: ['awaiting_payment', 'expired'] },
+      deposit_address: record.to,
+      created_at: { $lte: paidAt, $gte: new Date(paidAt.getTime() - orderTtlMs) }
+    };
+    const exact = await Transaction.findOne({ ...base, expected_amount: record.amount }).sort({ created_at: 1 });
+    if (exact || record.to === wallet) return exact;
+    return Transaction.findOne({ ...base, expected_amount: { $lte: record.amount } }).sort({ created_at: 1 });
+  }
+
+  // Обработка одного подтверждённого перевода. Запись ChainTransfer создаётся первой и служит блокировкой
+  const toRecord = (transfer, blockNumber) => ({
+    tx_id: transfer.transaction_id,
+    from: transfer.from,
+    to: transfer.to,
+    amount: parseInt(transfer.value),
+    block_number: blockNumber,
+    block_timestamp: new Date(transfer.block_timestamp)
+  });
+
+  // Перевод без номера блока записывается отклонённым, чтобы сверка адреса шла дальше; он попадает в отчёт сверки
+  async function rejectWithoutBlock(transfer) {
+    try {
+      await ChainTransfer.create({ ...toRecord(transfer, null), status: 'rejected', reason: 'block_not_found' });
+      logger.warn(`Перевод USDT без номера блока отклонён: ${transfer.transaction_id}`);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  async function reconcileTransfer(transfer, blockNumber, address, markPaid) {
+    const record = toRecord(transfer, blockNumber);
+    const invalid = validateTransfer(transfer, { wallet: address });
+    let chainTransfer;
+    try {
+      chainTransfer = await ChainTransfer.create({ ...record, status: invalid ? 'rejected' : 'unmatched', reason: invalid });
+    } catch (err) {
+      if (err.code === 11000) return;
+      throw err;
+    }
+    if (invalid) {
+      logger.warn(`Перевод USDT отклонён: ${transfer.transaction_id} (${invalid})`);
+      return;
+    }
+
+    const order = await findOrder(record);
+    const paid = order && await markPaid(order._id, { providerTxId: transfer.transaction_id });
+    if (!paid) {
+      logger.warn(`Перевод USDT без заказа: ${transfer.transaction_id} на ${fromTokenUnits(record.amount)} USDT (${address})`);
+      return;
+    }
+    await ChainTransfer.updateOne({ _id: chainTransfer._id }, { status: 'credited', transaction_id: paid._id });
+    logger.info(`Перевод USDT зачислен: ${transfer.transaction_id} -> ${paid._id}`);
+  }
+
+  // Проход по новым переводам на адрес начиная с сохранённой позиции (для нового адреса - с since).
+  // Перевод без нужного числа подтверждений останавливает проход, позиция не сдвигается дальше него.
+  // Перевод, номер блока которого не нашёлся за BLOCK_LOOKUP_TIMEOUT_MS, отклоняется и не держит позицию
+  async function scanAddress(address, currentBlock, markPaid, since = now() - orderTtlMs) {
+    const cursor = await SyncCursor.findOneAndUpdate(
+      { name: `usdt_trc20:${address}` },
+      { $setOnInsert: { block_timestamp: since } },
+      { upsert: true, new: true }
+    );
+    let lastTimestamp = cursor.block_timestamp;
+    let fingerprint;
+
+    pages: do {
+      const page = await tronClient.listTransfers(address, { minTimestamp: cursor.block_timestamp, fingerprint });
+      for (const transfer of page.transfers) {
+        if (!(await ChainTransfer.exists({ tx_id: transfer.transaction_id }))) {
+          const blockNumber = await tronClient.getTransactionBlock(transfer.transaction_id);
+          if (!blockNumber) {
+            if (now() - transfer.block_timestamp < BLOCK_LOOKUP_TIMEOUT_MS) break pages;
+            await rejectWithoutBlock(transfer);
+          } else {
+            if (currentBlock - blockNumber + 1 < USDT_MIN_CONFIRMATIONS) break pages;
+            await reconcileTransfer(transfer, blockNumber, address, markPaid);
+          }
+        }
+        lastTimestamp = transfer.block_timestamp;
+      }
+      fingerprint = page.fingerprint;
+    } while (fingerprint);
+
+    if (lastTimestamp > cursor.block_timestamp) {
+      await SyncCursor.updateOne({ _id: cursor._id }, { block_timestamp: lastTimestamp, updated_at: new Date(now()) });
+    }
+  }
+
+  return {
+    name: 'BESTCHANGE',
+    currency: 'USDT',
+    getDepositAddress,
+
+    // На личный адрес первая попытка идёт с точной ценой, на общем адресе
+    // и при совпадении с другим открытым заказом к цене добавляется до 0.01 USDT
+    async prepare(fields, attempt) {
+      const deposit = await getDepositAddress(fields.user_id);
+      const suffix = deposit.shared || attempt > 0 ? crypto.randomInt(1, 10000) : 0;
+      const expectedAmount = toTokenUnits(fields.amount) + suffix;
+      return {
+        deposit_address: deposit.address,
+        expected_amount: expectedAmount,
+        amount_lock: `${deposit.address}:${expectedAmount}`
+      };
+    },
+
+    initiate(order) {
+      const resultText = order.type === 'subscription_purchase' ? 'Подписка активируется' : 'CHOIZZE Points начислятся';
+      return {
+        json: {
+          amount_usdt: fromTokenUnits(order.expected_amount),
+          deposit_address: order.deposit_address,
+          instructions: buildInstructions(order, resultText)
+        }
+      };
+    },
+
+    // Каждый проход проверяет адреса, на которые ждут оплату открытые заказы или заказы, истёкшие
+    // не больше часа назад: перевод мог ещё набирать подтверждения. Остальные выданные личные адреса
+    // проверяются по очереди, не больше idleScanLimit за проход и не чаще раза в idleScanIntervalMs:
+    // перевод без заказа тоже записывается (unmatched) и попадает в отчёт сверки
+    async reconcile({ markPaid }) {
+      const orderAddresses = (await Transaction.distinct('deposit_address', {
+        payment_method: 'BESTCHANGE',
+        status: { $in: ['awaiting_payment', 'expired'] },
+        created_at: { $gte: new Date(now() - orderTtlMs - 60 * 60 * 1000) }
+      })).filter(Boolean);
+      const idle = await DepositAddress.find({
+        address: { $nin: orderAddresses },
+        $or: [{ scanned_at: null }, { scanned_at: { $lt: new Date(now() - idleScanIntervalMs) } }]
+      }).sort({ scanned_at: 1 }).limit(idleScanLimit).select('address created_at');
+      if (!orderAddresses.length && !idle.length) return;
+
+      const currentBlock = await tronClient.getCurrentBlock();
+      for (const address of orderAddresses) await scanAddress(address, currentBlock, markPaid);
+      for (const deposit of idle) {
+        await scanAddress(deposit.address, currentBlock, markPaid, deposit.created_at.getTime());
+        await DepositAddress.updateOne({ _id: deposit._id }, { scanned_at: new Date(now()) });
+      }
+    }
+  };
+};
+
+module.exports = { buildInstructions, createBestChangeProvider };
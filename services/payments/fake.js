@@ -0,0 +1,43 @@
+// Поддельный провайдер для тестов и локальной разработки: заменяет настоящий провайдер с тем же именем.
+// Оплата подтверждается уведомлением { order_id, amount, currency, status, tx_id } без подписи
+// или через pay() - тогда заказ оплачивается при следующей сверке
+const createFakeProvider = (name, { currency = 'USDT' } = {}) => {
+  const queue = [];
+
+  return {
+    name,
+    currency,
+    fake: true,
+
+    initiate(order) {
+      return { json: { fake: true, callback_url: `/payments/${name.toLowerCase()}/callback`, order_id: order._id } };
+    },
+
+    async verifyCallback(req) {
+      const { order_id, amount, status = 'success', tx_id } = req.body;
+      if (!/^[a-f0-9]{24}$/i.test(String(order_id))) return { ok: false, status: 404, reason: 'Заказ не найден' };
+      return {
+        ok: true,
+        lookup: { _id: String(order_id) },
+        paid: status === 'success',
+        reason: status !== 'success' ? `Статус ${status}` : undefined,
+        amount,
+        currency: req.body.currency || currency,
+        providerTxId: tx_id || `fake-${Date.now()}`
+      };
+    },
+
+    pay(orderId, txId) {
+      queue.push({ orderId, txId: txId || `fake-${Date.now()}` });
+    },
+
+    async reconcile({ markPaid }) {
+      while (queue.length) {
+        const { orderId, txId } = queue.shift();
+        await markPaid(orderId, { providerTxId: txId, note: 'fake' });
+      }
+    }
+  };
+};
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,75 @@
+const fetch = require('node-fetch');
+
+// Форма оплаты FaucetPay с автоотправкой
+const buildPaymentForm = ({ username, amount, code, description, callbackUrl, successUrl, cancelUrl }) => {
+  const formData = {
+    merchant_username: username,
+    item_description: description,
+    amount1: Number(amount).toFixed(2),
+    currency1: 'USD',
+    currency2: 'USDT',
+    custom: code,
+    callback_url: callbackUrl,
+    success_url: successUrl,
+    cancel_url: cancelUrl
+  };
+
+  return `
+      <form id="faucetpayForm" action="https://faucetpay.io/merchant/webscr" method="post">
+        <input type="hidden" name="merchant_username" value="${formData.merchant_username}">
+        <input type="hidden" name="item_description" value="${formData.item_description}">
+        <input type="hidden" name="amount1" value="${formData.amount1}">
+        <input type="hidden" name="currency1" value="${formData.currency1}">
+        <input type="hidden" name="currency2" value="${formData.currency2}">
+        <input type="hidden" name="custom" value="${formData.custom}">
+        <input type="hidden" name="callback_url" value="${formData.callback_url}">
+        <input type="hidden" name="success_url" value="${formData.success_url}">
+        <input type="hidden" name="cancel_url" value="${formData.cancel_url}">
+      </form>
+      <script>document.getElementById('faucetpayForm').submit();</script>
+    `;
+};
+
+// Провайдер FaucetPay: форма оплаты и callback, который проверяется запросом get-payment по токену
+const createFaucetPayProvider = ({ username, callbackUrl, successUrl, cancelUrl }) => ({
+  name: 'FAUCETPAY',
+  currency: 'USDT',
+
+  initiate(order, description) {
+    return {
+      html: buildPaymentForm({
+        username,
+        amount: order.amount,
+        code: order.verification_code,
+        description,
+        callbackUrl,
+        successUrl,
+        cancelUrl
+      })
+    };
+  },
+
+  async verifyCallback(req) {
+    const { token, merchant_username, custom } = req.body;
+    if (merchant_username !== username) return { ok: false, status: 403, reason: `Неверный merchant_username: ${merchant_username}` };
+
+    if (typeof token !== 'string' || !token) return { ok: false, status: 400, reason: 'Нет токена' };
+    const response = await fetch(`https://faucetpay.io/merchant/get-payment/${encodeURIComponent(token)}`);
+    const paymentInfo = await response.json();
+    if (!paymentInfo.valid) return { ok: false, status: 400, reason: `Неверный токен: ${token}` };
+    if (paymentInfo.currency1 !== 'USD' || paymentInfo.currency2 !== 'USDT') {
+      return { ok: false, status: 400, reason: `Неверная валюта: ${paymentInfo.currency1}/${paymentInfo.currency2}` };
+    }
+    return {
+      ok: true,
+      lookup: { verification_code: String(custom) },
+      paid: true,
+      amount: paymentInfo.amount1,
+      currency: 'USDT',
+      providerTxId: paymentInfo.transaction_id,
+      evidence: paymentInfo
+    };
+  }
+});
+
+module.exports = { buildPaymentForm, createFaucetPayProvider };
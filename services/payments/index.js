@@ -0,0 +1,26 @@
+const { ORDER_STATES, ORDER_TRANSITIONS, OPEN_STATES, canTransition, toCents, createOrderService } = require('./orders');
+const { createBestChangeProvider } = require('./bestchange');
+const { createFaucetPayProvider } = require('./faucetpay');
+const { createPayeerProvider } = require('./payeer');
+const { createFakeProvider } = require('./fake');
+const { loadPayeerHistory, buildReconciliationRows, toCsv } = require('./reconciliation');
+
+// Подмена всех провайдеров поддельными с теми же именами и валютами
+const toFakeProviders = (providers) => providers.map(p => createFakeProvider(p.name, { currency: p.currency }));
+
+module.exports = {
+  ORDER_STATES,
+  ORDER_TRANSITIONS,
+  OPEN_STATES,
+  canTransition,
+  toCents,
+  createOrderService,
+  createBestChangeProvider,
+  createFaucetPayProvider,
+  createPayeerProvider,
+  createFakeProvider,
+  toFakeProviders,
+  loadPayeerHistory,
+  buildReconciliationRows,
+  toCsv
+};
@@ -0,0 +1,197 @@
+// Состояния заказа. expired - заказ закрыт без оплаты: истёк срок ожидания или провайдер сообщил об отказе
+const ORDER_STATES = ['created', 'awaiting_payment', 'paid', 'credited', 'expired', 'refunded'];
+
+const ORDER_TRANSITIONS = {
+  created: ['awaiting_payment', 'paid', 'expired'],
+  awaiting_payment: ['paid', 'expired'],
+  paid: ['credited'],
+  credited: ['refunded'],
+  // Оплата, пришедшая после истечения заказа, всё равно зачисляется
+  expired: ['paid'],
+  refunded: []
+};
+
+// Статусы до введения общей модели заказа
+const LEGACY_STATUSES = { pending: 'awaiting_payment', completed: 'credited', failed: 'expired' };
+
+const OPEN_STATES = ['created', 'awaiting_payment'];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Сравнение сумм с точностью до цента
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Заказы на оплату через провайдеров. Провайдер - объект с полями:
+//   name, currency
+//   prepare(fields, attempt)     - необязательно: доп. поля заказа; amount_lock должен быть уникален среди открытых заказов
+//   initiate(order, description) - данные для оплаты: { json } или { html }
+//   verifyCallback(req)          - необязательно: { ok, lookup, paid, amount, currency, providerTxId, evidence } или { ok: false, status, reason }
+//   respond(res, outcome)        - необязательно: ответ провайдеру на уведомление
+//   reconcile({ markPaid })      - необязательно: поиск оплат на стороне провайдера
+const createOrderService = ({ Transaction, PaymentCallback, providers, fulfill, logger }) => {
+  const registry = new Map(providers.map(p => [p.name, p]));
+  const getProvider = (name) => registry.get(name);
+
+  // Атомарный переход: заказ меняет статус, только если текущий статус допускает переход
+  async function transition(orderId, to, { from, note, set = {} } = {}) {
+    const sources = (from ? [].concat(from) : ORDER_STATES).filter(state => canTransition(state, to));
+    const update = {
+      $set: { ...set, status: to },
+      $push: { status_history: { status: to, at: new Date(), note } }
+    };
+    // Уникальная сумма открытого заказа освобождается, когда заказ перестаёт ждать оплату
+    if (!OPEN_STATES.includes(to)) update.$unset = { amount_lock: 1 };
+    return Transaction.findOneAndUpdate({ _id: orderId, status: { $in: sources } }, update, { new: true });
+  }
+
+  const create = (fields) => Transaction.create({
+    ...fields,
+    status: 'created',
+    status_history: [{ status: 'created', at: new Date() }]
+  });
+
+  // Заказ у провайдера: при совпадении amount_lock с открытым заказом prepare вызывается снова
+  async function createOrder(fields, description) {
+    const provider = getProvider(fields.payment_method);
+    if (!provider) throw new Error(`Неизвестный провайдер: ${fields.payment_method}`);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const extra = provider.prepare ? await provider.prepare(fields, attempt) : {};
+      let order;
+      try {
+        order = await create({ ...fields, ...extra, currency: provider.currency });
+      } catch (err) {
+        if (err.code === 11000 && err.keyPattern && err.keyPattern.amount_lock) continue;
+        throw err;
+      }
+      const payment = provider.initiate(order, description);
+      const awaiting = await transition(order._id, 'awaiting_payment', { from: 'created' });
+      return { order: awaiting || order, payment };
+    }
+    throw new Error('Не удалось подобрать уникальную сумму платежа');
+  }
+
+  // Исполнение оплаченного заказа: начисление CP или активация подписки, затем credited
+  async function credit(order) {
+    await fulfill(order);
+    return transition(order._id, 'credited', { from: 'paid', set: { credited_at: new Date() } });
+  }
+
+  // Подтверждённая оплата. Переход в paid атомарный, поэтому заказ исполняется один раз
+  async function markPaid(orderId, { providerTxId, note } = {}) {
+    const set = { paid_at: new Date() };
+    if (providerTxId) set.transaction_id = providerTxId;
+    const paid = await transition(orderId, 'paid', { note, set });
+    if (!paid) return null;
+    return (await credit(paid)) || paid;
+  }
+
+  // Разбор проверенного уведомления провайдера
+  async function applyCallback(provider, result) {
+    if (!result.ok) return result;
+    const order = await Transaction.findOne({ ...result.lookup, payment_method: provider.name });
+    if (!order) return { ok: false, status: 404, reason: 'Заказ не найден', result };
+    // Повторное уведомление по оплаченному заказу подтверждается без повторного зачисления
+    if (['paid', 'credited'].includes(order.status)) return { ok: true, duplicate: true, order, result };
+    if (order.status === 'refunded') return { ok: false, status: 409, reason: 'Заказ возвращён', order, result };
+    if (!result.paid) {
+      await transition(order._id, 'expired', { from: OPEN_STATES, note: result.reason });
+      return { ok: false, status: 400, reason: result.reason || 'Оплата не прошла', order, result };
+    }
+    if (result.currency !== order.currency || toCents(result.amount) !== toCents(order.amount)) {
+      return { ok: false, status: 400, reason: `Неверная сумма: ${result.amount} ${result.currency}`, order, result };
+    }
+    const paid = await markPaid(order._id, { providerTxId: result.providerTxId });
+    return { ok: true, order: paid || order, result };
+  }
+
+  // Обработчик уведомлений провайдера для Express
+  // Каждое уведомление сохраняется как есть вместе с результатом проверки
+  const callbackHandler = (name) => async (req, res) => {
+    const provider = getProvider(name);
+    if (!provider) return res.status(404).json({ error: 'Провайдер не найден' });
+    const record = await PaymentCallback.create({ provider: name, ip: req.ip, payload: req.body })
+      .catch(err => logger.error(`Не удалось сохранить уведомление ${name}:`, err));
+    let outcome;
+    try {
+      outcome = await applyCallback(provider, await provider.verifyCallback(req));
+      if (!outcome.ok) logger.warn(`${name}: уведомление отклонено (${outcome.reason})`);
+    } catch (err) {
+      logger.error(`Ошибка уведомления ${name}:`, err);
+      outcome = { ok: false, status: 500, reason: 'Ошибка сервера' };
+    }
+    if (record) {
+      await PaymentCallback.updateOne({ _id: record._id }, {
+        order_id: outcome.order && outcome.order._id,
+        result: outcome.ok ? (outcome.duplicate ? 'duplicate' : 'accepted') : 'rejected',
+        reason: outcome.reason,
+        evidence: outcome.result && outcome.result.evidence
+      }).catch(err => logger.error(`Не удалось обновить уведомление ${name}:`, err));
+    }
+    if (provider.respond) return provider.respond(res, outcome, req);
+    if (outcome.ok) return res.json({ status: 'success' });
+    res.status(outcome.status || 400).json({ error: outcome.reason });
+  };
+
+  // Сверка у всех провайдеров и повторное исполнение заказов, оплаченных, но не исполненных из-за ошибки
+  let reconciling = false;
+  async function reconcileAll() {
+    if (reconciling) return;
+    reconciling = true;
+    try {
+      for (const provider of registry.values()) {
+        if (!provider.reconcile) continue;
+        try {
+          await provider.reconcile({ markPaid });
+        } catch (err) {
+          logger.error(`Ошибка сверки ${provider.name}:`, err);
+        }
+      }
+      const stuck = await Transaction.find({ status: 'paid', paid_at: { $lte: new Date(Date.now() - 60 * 1000) } });
+      for (const order of stuck) {
+        try {
+          await credit(order);
+        } catch (err) {
+          logger.error(`Ошибка исполнения заказа ${order._id}:`, err);
+        }
+      }
+    } finally {
+      reconciling = false;
+    }
+  }
+
+  // Закрытие открытых заказов, которые не оплатили за отведённое время
+  async function expireStale(ttlMs) {
+    const now = new Date();
+    const result = await Transaction.updateMany(
+      { status: { $in: OPEN_STATES }, created_at: { $lte: new Date(now.getTime() - ttlMs) } },
+      {
+        $set: { status: 'expired' },
+        $unset: { amount_lock: 1 },
+        $push: { status_history: { status: 'expired', at: now, note: 'Истёк срок оплаты' } }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  async function migrateLegacyStatuses() {
+    for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+      const result = await Transaction.updateMany({ status: legacy }, { $set: { status } });
+      if (result.modifiedCount) logger.info(`Заказы переведены из ${legacy} в ${status}: ${result.modifiedCount}`);
+    }
+  }
+
+  return {
+    getProvider,
+    transition,
+    create,
+    createOrder,
+    credit,
+    markPaid,
+    callbackHandler,
+    reconcileAll,
+    expireStale,
+    migrateLegacyStatuses
+  };
+};
+
+module.exports = { ORDER_STATES, ORDER_TRANSITIONS, OPEN_STATES, canTransition, toCents, createOrderService };
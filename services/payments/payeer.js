@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Адреса, с которых Payeer отправляет уведомления об оплате
+const PAYEER_IPS = process.env.PAYEER_ALLOWED_IPS
+  ? process.env.PAYEER_ALLOWED_IPS.split(',').map(ip => ip.trim())
+  : ['185.71.65.92', '185.71.65.189', '149.202.17.210'];
+
+const PAYEER_MERCHANT_URL = 'https://payeer.com/merchant/';
+
+// Payeer передаёт суммы строкой с двумя знаками после точки
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const sign = (parts) => crypto.createHash('sha256').update(parts.join(':')).digest('hex').toUpperCase();
+
+// Ссылка на оплату заказа: подпись m_shop:m_orderid:m_amount:m_curr:m_desc:ключ
+function buildPaymentUrl({ shopId, secretKey, orderId, amount, currency, description }) {
+  const params = {
+    m_shop: shopId,
+    m_orderid: String(orderId),
+    m_amount: formatAmount(amount),
+    m_curr: currency,
+    m_desc: Buffer.from(description).toString('base64')
+  };
+  params.m_sign = sign([params.m_shop, params.m_orderid, params.m_amount, params.m_curr, params.m_desc, secretKey]);
+  return `${PAYEER_MERCHANT_URL}?${new URLSearchParams(params)}`;
+}
+
+// Проверка m_sign уведомления об оплате; m_params входит в подпись, только если передан.
+// Без ключа подпись не проверяется: пустой ключ дал бы подпись, которую может посчитать кто угодно
+function verifyStatusSignature(body, secretKey) {
+  if (!secretKey || typeof body.m_sign !== 'string') return false;
+  const parts = [
+    body.m_operation_id,
+    body.m_operation_ps,
+    body.m_operation_date,
+    body.m_operation_pay_date,
+    body.m_shop,
+    body.m_orderid,
+    body.m_amount,
+    body.m_curr,
+    body.m_desc,
+    body.m_status
+  ];
+  if (body.m_params !== undefined) parts.push(body.m_params);
+  parts.push(secretKey);
+  const expected = Buffer.from(sign(parts));
+  const received = Buffer.from(body.m_sign.toUpperCase());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const isAllowedIp = (ip) => PAYEER_IPS.includes((ip || '').replace(/^::ffff:/, ''));
+
+// Провайдер Payeer: ссылка на оплату и уведомление об оплате с ответом "m_orderid|success"
+const createPayeerProvider = ({ shopId, secretKey }) => {
+  if (!shopId || !secretKey) throw new Error('Payeer: не заданы PAYEER_SHOP_ID и PAYEER_SECRET_KEY');
+  return {
+    name: 'PAYEER',
+    currency: 'USD',
+
+    initiate(order, description) {
+      const paymentUrl = buildPaymentUrl({
+        shopId,
+        secretKey,
+        orderId: order._id,
+        amount: order.amount,
+        currency: order.currency,
+        description
+      });
+      return { json: { payment_url: paymentUrl } };
+    },
+
+    async verifyCallback(req) {
+      const body = req.body;
+      if (!isAllowedIp(req.ip)) return { ok: false, status: 403, reason: `Чужой IP ${req.ip}` };
+      if (!body.m_operation_id || !body.m_orderid || !verifyStatusSignature(body, secretKey)) {
+        return { ok: false, status: 400, reason: `Неверная подпись для заказа ${body.m_orderid}` };
+      }
+      if (body.m_shop !== shopId) return { ok: false, status: 400, reason: `Неверный магазин ${body.m_shop}` };
+      if (!/^[a-f0-9]{24}$/i.test(body.m_orderid)) return { ok: false, status: 404, reason: `Заказ не найден ${body.m_orderid}` };
+      return {
+        ok: true,
+        lookup: { _id: body.m_orderid },
+        paid: body.m_status === 'success',
+        reason: body.m_status !== 'success' ? `Статус ${body.m_status}` : undefined,
+        amount: body.m_amount,
+        currency: body.m_curr,
+        providerTxId: body.m_operation_id
+      };
+    },
+
+    // Payeer повторяет уведомление, пока не получит "m_orderid|success"
+    respond(res, outcome, req) {
+      if (outcome.status === 403) return res.status(403).send('Forbidden');
+      res.type('text/plain').send(`${req.body.m_orderid}|${outcome.ok ? 'success' : 'error'}`);
+    }
+  };
+};
+
+module.exports = { PAYEER_IPS, formatAmount, buildPaymentUrl, verifyStatusSignature, isAllowedIp, createPayeerProvider };
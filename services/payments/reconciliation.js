@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { toCents } = require('./orders');
+
+// Колонки выгрузки истории Payeer. У сумм кредита и дебета валюта идёт в безымянной колонке
+const PAYEER_HISTORY_HEADERS = [
+  'date', 'type', 'sender', 'credit', 'credit_currency', 'recipient', 'debit', 'debit_currency',
+  'pay_system', 'status', 'id', 'shop_url', 'shop_id', 'order_id', 'api', 'description'
+];
+
+// Строки всех CSV из каталога с выгрузками истории Payeer; повторы операций из разных выгрузок убираются
+async function loadPayeerHistory(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.csv'));
+  const rows = new Map();
+  for (const file of files) {
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(path.join(dir, file))
+        .pipe(csv({ separator: ';', headers: PAYEER_HISTORY_HEADERS, skipLines: 1 }))
+        .on('data', row => {
+          if (row.id) rows.set(row.id, { ...row, file });
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+  return [...rows.values()];
+}
+
+const REPORT_COLUMNS = [
+  'order_id', 'created_at', 'provider', 'type', 'user_id', 'amount', 'currency', 'status',
+  'provider_source', 'provider_tx_id', 'provider_amount', 'provider_currency', 'provider_status', 'match'
+];
+
+const orderColumns = (order) => ({
+  order_id: order._id,
+  created_at: order.created_at && order.created_at.toISOString(),
+  provider: order.payment_method,
+  type: order.type,
+  user_id: order.user_id,
+  amount: order.amount,
+  currency: order.currency,
+  status: order.status
+});
+
+// Сопоставление заказа с записью провайдера
+function compare(order, evidence) {
+  const settled = ['paid', 'credited', 'refunded'].includes(order.status);
+  if (!evidence) return settled ? 'missing_provider_record' : 'ok';
+  if (evidence.amount !== undefined && toCents(evidence.amount) !== toCents(order.amount)) return 'amount_mismatch';
+  return settled ? 'ok' : 'paid_not_credited';
+}
+
+// Строки отчёта сверки: заказы с записями провайдеров (переводы в сети, принятые уведомления,
+// история Payeer) и записи провайдеров, для которых заказ не найден
+function buildReconciliationRows({ orders, chainTransfers, callbacks, payeerHistory, fromTokenUnits }) {
+  const transfersByOrder = new Map();
+  const orphanTransfers = [];
+  for (const transfer of chainTransfers) {
+    if (transfer.transaction_id) transfersByOrder.set(transfer.transaction_id.toString(), transfer);
+    else if (transfer.status === 'unmatched') orphanTransfers.push(transfer);
+  }
+  const callbacksByOrder = new Map();
+  for (const callback of callbacks) {
+    if (callback.order_id && callback.result === 'accepted') callbacksByOrder.set(callback.order_id.toString(), callback);
+  }
+  const payeerByOrder = new Map();
+  const payeerByOperation = new Map();
+  for (const row of payeerHistory) {
+    if (row.order_id) payeerByOrder.set(row.order_id, row);
+    payeerByOperation.set(row.id, row);
+  }
+
+  const usedPayeerRows = new Set();
+  const rows = orders.map(order => {
+    const id = order._id.toString();
+    let evidence = null;
+    if (order.payment_method === 'BESTCHANGE' && transfersByOrder.has(id)) {
+      const transfer = transfersByOrder.get(id);
+      evidence = {
+        provider_source: 'tron',
+        provider_tx_id: transfer.tx_id,
+        // Перевод на личный адрес может превышать сумму заказа: достаточно, что он её покрывает
+        amount: transfer.amount >= order.expected_amount ? order.amount : fromTokenUnits(transfer.amount),
+        provider_amount: fromTokenUnits(transfer.amount),
+        provider_currency: 'USDT',
+        provider_status: transfer.status
+      };
+    } else if (order.payment_method === 'PAYEER' && (payeerByOrder.has(id) || payeerByOperation.has(order.transaction_id))) {
+      const row = payeerByOrder.get(id) || payeerByOperation.get(order.transaction_id);
+      usedPayeerRows.add(row.id);
+      evidence = {
+        provider_source: `payeer_csv:${row.file}`,
+        provider_tx_id: row.id,
+        amount: row.credit,
+        provider_amount: row.credit,
+        provider_currency: row.credit_currency,
+        provider_status: row.status
+      };
+    } else if (callbacksByOrder.has(id)) {
+      const callback = callbacksByOrder.get(id);
+      const payload = callback.payload || {};
+      const amount = payload.m_amount || (callback.evidence && callback.evidence.amount1) || payload.amount;
+      evidence = {
+        provider_source: 'callback',
+        provider_tx_id: order.transaction_id,
+        amount,
+        provider_amount: amount,
+        provider_currency: payload.m_curr || (callback.evidence && callback.evidence.currency2) || payload.currency,
+        provider_status: callback.result
+      };
+    }
+    const { amount, ...evidenceColumns } = evidence || {};
+    return { ...orderColumns(order), ...evidenceColumns, match: compare(order, evidence) };
+  });
+
+  for (const transfer of orphanTransfers) {
+    rows.push({
+      provider: 'BESTCHANGE',
+      provider_source: 'tron',
+      provider_tx_id: transfer.tx_id,
+      provider_amount: fromTokenUnits(transfer.amount),
+      provider_currency: 'USDT',
+      provider_status: transfer.status,
+      match: 'missing_order'
+    });
+  }
+  for (const row of payeerHistory) {
+    if (usedPayeerRows.has(row.id) || row.status !== 'success' || !row.credit || row.credit === '-') continue;
+    rows.push({
+      provider: 'PAYEER',
+      provider_source: `payeer_csv:${row.file}`,
+      provider_tx_id: row.id,
+      provider_amount: row.credit,
+      provider_currency: row.credit_currency,
+      provider_status: row.status,
+      match: 'missing_order'
+    });
+  }
+  return rows;
+}
+
+// Значения провайдеров не должны исполняться как формулы при открытии отчёта в таблице
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => [
+  REPORT_COLUMNS.join(','),
+  ...rows.map(row => REPORT_COLUMNS.map(column => escapeCsv(row[column])).join(','))
+].join('\n');
+
+module.exports = { PAYEER_HISTORY_HEADERS, loadPayeerHistory, buildReconciliationRows, toCsv };
@@ -0,0 +1,36 @@
+// Права, которые проверяют маршруты
+const PERMISSIONS = [
+  'ban:create',
+  'ban:lift',
+  'appeals:review',
+  'quiz:write',
+  'content:moderate',
+  'reports:review',
+  'payments:read',
+  'payments:resolve',
+  'payments:refund',
+  'deposits:read',
+  'audit:read',
+  'roles:manage'
+];
+
+// Роли и их права. Администратор получает все права, включая назначение ролей
+const ROLES = {
+  user: [],
+  support: ['reports:review', 'payments:read', 'audit:read'],
+  moderator: [
+    'ban:create',
+    'ban:lift',
+    'appeals:review',
+    'quiz:write',
+    'content:moderate',
+    'reports:review',
+    'payments:read',
+    'payments:resolve'
+  ],
+  admin: PERMISSIONS
+};
+
+const hasPermission = (role, permission) => (ROLES[role] || []).includes(permission);
+
+module.exports = { PERMISSIONS, ROLES, hasPermission };
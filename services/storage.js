@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Локальное хранилище: файлы на диске, раздаются через express.static
+const createLocalStorage = ({ root, baseUrl }) => ({
+  async put(key, buffer) {
+    const filePath = path.join(root, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return `${baseUrl}/${key}`;
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(root, key), { force: true });
+  }
+});
+
+// S3-совместимое хранилище (AWS, MinIO, Yandex Object Storage и т.п.)
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint,
+    forcePathStyle: !!endpoint,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  const base = publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+      return `${base}/${key}`;
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+// Выбор хранилища по STORAGE_DRIVER (local по умолчанию)
+const createStorage = (env = process.env) => {
+  if (env.STORAGE_DRIVER === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+  return createLocalStorage({
+    root: path.resolve(env.UPLOAD_DIR || 'uploads'),
+    baseUrl: env.MEDIA_BASE_URL || '/uploads'
+  });
+};
+
+module.exports = { createStorage, createLocalStorage, createS3Storage };
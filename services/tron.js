@@ -0,0 +1,126 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { TronWeb, utils } = require('tronweb');
+
+// Контракт USDT TRC-20 в основной сети TRON
+const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const USDT_DECIMALS = 6;
+const USDT_MIN_CONFIRMATIONS = parseInt(process.env.USDT_MIN_CONFIRMATIONS) || 19;
+
+// Суммы храним в минимальных единицах токена (1 USDT = 1 000 000), чтобы сравнивать без ошибок округления
+const toTokenUnits = (amount) => Math.round(amount * 10 ** USDT_DECIMALS);
+const fromTokenUnits = (units) => units / 10 ** USDT_DECIMALS;
+
+// Проверка, что перевод - это USDT на наш кошелёк
+function validateTransfer(transfer, { wallet, contract = USDT_CONTRACT }) {
+  if (transfer.type && transfer.type !== 'Transfer') return 'not_transfer';
+  if (transfer.to !== wallet) return 'wrong_recipient';
+  if (!transfer.token_info || transfer.token_info.address !== contract) return 'wrong_contract';
+  if (Number(transfer.token_info.decimals) !== USDT_DECIMALS) return 'wrong_decimals';
+  return null;
+}
+
+// Адрес для депозитов из расширенного публичного ключа счёта m/44'/195'/0' (внешняя цепочка 0).
+// Приватные ключи на сервере не нужны: сбор средств выполняется отдельно по пути derivation_path
+function deriveDepositAddress(xpub, index) {
+  const node = utils.ethersUtils.ethersHDNodeWallet.fromExtendedKey(xpub).deriveChild(0).deriveChild(index);
+  return {
+    address: TronWeb.address.fromHex(`41${node.address.slice(2)}`),
+    derivation_path: `m/44'/195'/0'/0/${index}`
+  };
+}
+
+// Клиент TronGrid: переводы TRC-20 на адрес, номер блока транзакции и текущий блок
+const createTronGridClient = ({ apiKey, baseUrl = 'https://api.trongrid.io' } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['TRON-PRO-API-KEY'] = apiKey;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { headers, ...options });
+    if (!response.ok) throw new Error(`TronGrid ответил ${response.status} на ${path}`);
+    return response.json();
+  };
+
+  return {
+    async listTransfers(address, { contract = USDT_CONTRACT, minTimestamp = 0, fingerprint, limit = 200 } = {}) {
+      const params = new URLSearchParams({
+        only_to: 'true',
+        only_confirmed: 'true',
+        contract_address: contract,
+        order_by: 'block_timestamp,asc',
+        min_timestamp: String(minTimestamp),
+        limit: String(limit)
+      });
+      if (fingerprint) params.set('fingerprint', fingerprint);
+      const data = await request(`/v1/accounts/${address}/transactions/trc20?${params}`);
+      return { transfers: data.data || [], fingerprint: data.meta && data.meta.fingerprint };
+    },
+
+    async getTransactionBlock(txId) {
+      const info = await request('/wallet/gettransactioninfobyid', { method: 'POST', body: JSON.stringify({ value: txId }) });
+      return info.blockNumber || null;
+    },
+
+    async getCurrentBlock() {
+      const block = await request('/wallet/getnowblock', { method: 'POST' });
+      return block.block_header.raw_data.number;
+    },
+
+    // Балансы адреса: TRX и токен в минимальных единицах
+    async getBalances(address, contract = USDT_CONTRACT) {
+      const data = await request(`/v1/accounts/${address}`);
+      const account = (data.data || [])[0];
+      if (!account) return { trx: 0, token: 0 };
+      const token = (account.trc20 || []).find(balances => balances[contract] !== undefined);
+      return { trx: account.balance || 0, token: token ? parseInt(token[contract]) : 0 };
+    }
+  };
+};
+
+// Замена TronGrid записанными ответами из JSON-файла:
+// { now_block, transfers: [...], blocks: { txId: number }, balances: { address: { trx, token } } }
+const createFixtureTronClient = (fixturePath) => {
+  const load = () => JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  return {
+    async listTransfers(address, { contract = USDT_CONTRACT, minTimestamp = 0, fingerprint, limit = 200 } = {}) {
+      const matching = (load().transfers || [])
+        .filter(t => t.to === address && t.token_info.address === contract && t.block_timestamp >= minTimestamp)
+        .sort((a, b) => a.block_timestamp - b.block_timestamp);
+      const offset = fingerprint ? parseInt(fingerprint) : 0;
+      const page = matching.slice(offset, offset + limit);
+      const next = offset + limit < matching.length ? String(offset + limit) : undefined;
+      return { transfers: page, fingerprint: next };
+    },
+
+    async getTransactionBlock(txId) {
+      return load().blocks[txId] || null;
+    },
+
+    async getCurrentBlock() {
+      return load().now_block;
+    },
+
+    async getBalances(address) {
+      return (load().balances || {})[address] || { trx: 0, token: 0 };
+    }
+  };
+};
+
+// Клиент по окружению: TRONGRID_FIXTURE подменяет сеть записанными ответами
+const createTronClient = (env = process.env) => env.TRONGRID_FIXTURE
+  ? createFixtureTronClient(env.TRONGRID_FIXTURE)
+  : createTronGridClient({ apiKey: env.TRONGRID_API_KEY, baseUrl: env.TRONGRID_URL });
+
+module.exports = {
+  USDT_CONTRACT,
+  USDT_DECIMALS,
+  USDT_MIN_CONFIRMATIONS,
+  toTokenUnits,
+  fromTokenUnits,
+  validateTransfer,
+  deriveDepositAddress,
+  createTronGridClient,
+  createFixtureTronClient,
+  createTronClient
+};
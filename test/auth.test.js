@@ -0,0 +1,58 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryModel } = require('./support/memoryModel');
+const { createSessionService, hashToken, REFRESH_REUSE_GRACE_MS } = require('../services/auth');
+
+const logger = { info() {}, warn() {}, error() {} };
+const req = { ip: '127.0.0.1', get: () => 'test' };
+const SESSION_ID = '6510aa0c2d4e6f8a0b2c4d6e';
+
+before(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+// Сессия с уже выданным refresh-токеном
+const setup = async () => {
+  const Session = createMemoryModel();
+  const refreshToken = `${SESSION_ID}.initial`;
+  await Session.create({
+    _id: SESSION_ID,
+    user_id: 'user',
+    refresh_hash: hashToken(refreshToken),
+    previous_hashes: [],
+    revoked_at: null,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  return { Session, sessions: createSessionService({ Session, logger }), refreshToken };
+};
+
+test('одновременное обновление тем же токеном не отзывает сессию и не разлогинивает вкладки', async () => {
+  const { Session, sessions, refreshToken } = await setup();
+  const first = await sessions.refresh(refreshToken, req);
+  const second = await sessions.refresh(refreshToken, req);
+  assert.strictEqual(second.refreshToken, first.refreshToken);
+  assert.strictEqual(Session.docs[0].revoked_at, null);
+
+  // Обе вкладки обновляются дальше своим токеном и снова получают общую пару
+  const firstTab = await sessions.refresh(first.refreshToken, req);
+  const secondTab = await sessions.refresh(second.refreshToken, req);
+  assert.strictEqual(secondTab.refreshToken, firstTab.refreshToken);
+  assert.strictEqual(Session.docs[0].revoked_at, null);
+  assert.ok(await sessions.refresh(secondTab.refreshToken, req));
+});
+
+test('заменённый токен после окна считается повторным использованием', async () => {
+  const { Session, sessions, refreshToken } = await setup();
+  await sessions.refresh(refreshToken, req);
+  Session.docs[0].rotated_at = new Date(Date.now() - REFRESH_REUSE_GRACE_MS - 1000);
+  await assert.rejects(sessions.refresh(refreshToken, req), { code: 'REUSED' });
+  assert.strictEqual(Session.docs[0].revoked_reason, 'reuse');
+});
+
+test('старый токен из истории отзывает сессию и внутри окна', async () => {
+  const { Session, sessions, refreshToken } = await setup();
+  const first = await sessions.refresh(refreshToken, req);
+  await sessions.refresh(first.refreshToken, req);
+  await assert.rejects(sessions.refresh(refreshToken, req), { code: 'REUSED' });
+  assert.ok(Session.docs[0].revoked_at);
+});
@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createBestChangeProvider } = require('../services/payments');
+const { createFixtureTronClient } = require('../services/tron');
+const { createMemoryModel } = require('./support/memoryModel');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'trongrid.json');
+const ADDRESS = 'TNPeeaaFB7K9cmo4uQpcU32zGK8G1NYqeL';
+const HOUR_MS = 60 * 60 * 1000;
+// Время сверки: переводы в фикстуре записаны за 3 и за 1 минуту до него
+const NOW = Date.parse('2025-08-10T12:00:00Z');
+const now = () => NOW;
+const logger = { info() {}, warn() {}, error() {} };
+
+const setup = () => {
+  const models = {
+    Transaction: createMemoryModel(),
+    DepositAddress: createMemoryModel({ unique: ['user_id', 'index'] }),
+    ChainTransfer: createMemoryModel({ unique: ['tx_id'] }),
+    SyncCursor: createMemoryModel({ unique: ['name'] })
+  };
+  const provider = createBestChangeProvider({
+    ...models,
+    tronClient: createFixtureTronClient(FIXTURE),
+    wallet: 'TJRabPrwbZy45sbavfcjinPJC18kjpRTv8',
+    orderTtlMs: 24 * HOUR_MS,
+    now,
+    logger
+  });
+  const paid = [];
+  const markPaid = async (orderId, { providerTxId }) => {
+    const order = await models.Transaction.findOneAndUpdate({ _id: orderId, status: { $in: ['awaiting_payment', 'expired'] } }, { status: 'paid' });
+    if (order) paid.push({ orderId, providerTxId });
+    return order;
+  };
+  return { models, provider, paid, markPaid };
+};
+
+test('reconcile зачисляет подтверждённый перевод из фикстуры по адресу и сумме заказа', async () => {
+  const { models, provider, paid, markPaid } = setup();
+  const order = await models.Transaction.create({
+    payment_method: 'BESTCHANGE',
+    status: 'awaiting_payment',
+    deposit_address: ADDRESS,
+    expected_amount: 5004213,
+    created_at: new Date(NOW - HOUR_MS)
+  });
+
+  await provider.reconcile({ markPaid });
+
+  assert.deepStrictEqual(paid, [{ orderId: order._id, providerTxId: '5b1f0c8e2d4a7c9e1f3b5d7a9c1e3f5b7d9a1c3e5f7b9d1a3c5e7f9b1d3a5c7e' }]);
+  const transfer = models.ChainTransfer.docs.find(t => t.tx_id === paid[0].providerTxId);
+  assert.strictEqual(transfer.status, 'credited');
+  // Второй перевод набрал 6 подтверждений из 19 и ждёт следующей сверки
+  assert.strictEqual(models.ChainTransfer.docs.length, 1);
+});
+
+test('reconcile не зачисляет перевод повторно', async () => {
+  const { models, provider, paid, markPaid } = setup();
+  await models.Transaction.create({
+    payment_method: 'BESTCHANGE',
+    status: 'awaiting_payment',
+    deposit_address: ADDRESS,
+    expected_amount: 5004213,
+    created_at: new Date(NOW - HOUR_MS)
+  });
+
+  await provider.reconcile({ markPaid });
+  await provider.reconcile({ markPaid });
+
+  assert.strictEqual(paid.length, 1);
+  assert.strictEqual(models.ChainTransfer.docs.length, 1);
+});
+
+test('reconcile записывает перевод на выданный личный адрес без заказа как unmatched', async () => {
+  const { models, provider, paid, markPaid } = setup();
+  await models.DepositAddress.create({
+    user_id: 'user',
+    index: 0,
+    address: ADDRESS,
+    derivation_path: "m/44'/195'/0'/0/0",
+    created_at: new Date(NOW - HOUR_MS)
+  });
+
+  await provider.reconcile({ markPaid });
+
+  assert.strictEqual(paid.length, 0);
+  assert.deepStrictEqual(models.ChainTransfer.docs.map(t => [t.tx_id, t.status]), [
+    ['5b1f0c8e2d4a7c9e1f3b5d7a9c1e3f5b7d9a1c3e5f7b9d1a3c5e7f9b1d3a5c7e', 'unmatched']
+  ]);
+});
+
+// Клиент TronGrid, который считает запросы по адресам
+const countingClient = (transfers = [], blocks = {}) => {
+  const scanned = [];
+  return {
+    scanned,
+    async listTransfers(address, { minTimestamp = 0 } = {}) {
+      scanned.push(address);
+      return { transfers: transfers.filter(t => t.to === address && t.block_timestamp >= minTimestamp) };
+    },
+    async getTransactionBlock(txId) { return blocks[txId] || null; },
+    async getCurrentBlock() { return 1000; }
+  };
+};
+
+test('reconcile проверяет адреса без заказов по очереди, не больше idleScanLimit за проход', async () => {
+  const { models, markPaid } = setup();
+  const tronClient = countingClient();
+  const provider = createBestChangeProvider({ ...models, tronClient, wallet: 'W', orderTtlMs: 24 * HOUR_MS, idleScanLimit: 2, now, logger });
+  for (const index of [0, 1, 2]) {
+    await models.DepositAddress.create({ user_id: `user${index}`, index, address: `A${index}`, derivation_path: `m/44'/195'/0'/0/${index}` });
+  }
+  await models.Transaction.create({
+    payment_method: 'BESTCHANGE',
+    status: 'awaiting_payment',
+    deposit_address: 'W',
+    expected_amount: 1000000,
+    created_at: new Date(NOW)
+  });
+
+  await provider.reconcile({ markPaid });
+  assert.deepStrictEqual(tronClient.scanned, ['W', 'A0', 'A1']);
+
+  // Следующий проход: общий кошелёк с заказом и оставшийся адрес, проверенные недавно ждут своей очереди
+  tronClient.scanned.length = 0;
+  await provider.reconcile({ markPaid });
+  assert.deepStrictEqual(tronClient.scanned, ['W', 'A2']);
+});
+
+test('перевод без номера блока отклоняется и не останавливает сверку адреса', async () => {
+  const { models, markPaid } = setup();
+  const transfer = (id, ageMs) => ({
+    transaction_id: id,
+    token_info: { symbol: 'USDT', address: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', decimals: 6 },
+    block_timestamp: NOW - ageMs,
+    from: 'F',
+    to: 'A0',
+    type: 'Transfer',
+    value: '1000000'
+  });
+  const tronClient = countingClient([transfer('lost', 2 * HOUR_MS), transfer('next', HOUR_MS)], { next: 900 });
+  const provider = createBestChangeProvider({ ...models, tronClient, wallet: 'W', orderTtlMs: 24 * HOUR_MS, now, logger });
+  await models.DepositAddress.create({
+    user_id: 'user',
+    index: 0,
+    address: 'A0',
+    derivation_path: "m/44'/195'/0'/0/0",
+    created_at: new Date(NOW - 3 * HOUR_MS)
+  });
+
+  await provider.reconcile({ markPaid });
+
+  assert.deepStrictEqual(models.ChainTransfer.docs.map(t => [t.tx_id, t.status, t.reason]), [
+    ['lost', 'rejected', 'block_not_found'],
+    ['next', 'unmatched', null]
+  ]);
+});
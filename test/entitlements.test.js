@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveEntitlements, subscriptionState, SUBSCRIPTION_GRACE_DAYS } = require('../services/entitlements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-08-10T12:00:00Z');
+
+test('активная подписка с прошедшим end_date сразу получает льготный период', () => {
+  const subscription = { _id: 'sub', status: 'active', end_date: new Date(now.getTime() - 60 * 1000) };
+  const entitlements = resolveEntitlements({ subscription, now });
+  assert.strictEqual(entitlements.tier, 'full');
+  assert.strictEqual(entitlements.source, 'subscription_grace');
+  assert.deepStrictEqual(entitlements.expires_at, new Date(subscription.end_date.getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS));
+  assert.strictEqual(subscriptionState(subscription, now).status, 'grace');
+});
+
+test('после льготного периода подписка не даёт доступа, даже если статус ещё active', () => {
+  const subscription = { _id: 'sub', status: 'active', end_date: new Date(now.getTime() - (SUBSCRIPTION_GRACE_DAYS + 1) * DAY_MS) };
+  assert.strictEqual(resolveEntitlements({ subscription, trialMinutesSpent: 100, now }).tier, 'none');
+  assert.strictEqual(subscriptionState(subscription, now).status, 'expired');
+});
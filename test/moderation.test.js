@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createDefaultContentFilter } = require('../services/moderation');
+const MODERATION_CONFIG = require('../config/moderation');
+
+const filter = createDefaultContentFilter(MODERATION_CONFIG);
+const check = (text, type) => filter.check(text, { type });
+
+test('имена и обычные слова не считаются бранью', () => {
+  for (const nickname of ['Xue', 'Hui', 'Suki', 'Huey', 'Liu Xue Mei']) {
+    assert.strictEqual(check(nickname, 'profile').action, 'allow', nickname);
+  }
+  for (const text of ['Liu Xue Mei', 'hue and saturation', 'I love shiitake', 'бляха-муха', 'хуторянин', 'Hui Ying']) {
+    const result = check(text, 'post');
+    assert.strictEqual(result.action, 'allow', text);
+    assert.strictEqual(result.text, text);
+  }
+});
+
+test('брань с похожими по начертанию символами маскируется', () => {
+  assert.strictEqual(check('ну ты и сука', 'post').text, 'ну ты и ****');
+  // Латинские c и y вместо кириллических с и у
+  assert.strictEqual(check('ну ты и cyка', 'post').text, 'ну ты и ****');
+  assert.strictEqual(check('с.у.к.а', 'comment').action, 'mask');
+  assert.strictEqual(check('what the fuuuck', 'post').text, 'what the ******');
+  assert.strictEqual(check('sh1t happens', 'post').text, '**** happens');
+  assert.strictEqual(check('блядь', 'message').action, 'mask');
+  assert.strictEqual(check('cyka', 'profile').action, 'block');
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyStatusSignature, createPayeerProvider } = require('../services/payments/payeer');
+
+// Уведомление, подписанное ключом secretKey так же, как его подписывает Payeer
+const signedNotice = (secretKey) => {
+  const body = {
+    m_operation_id: '2250048721',
+    m_operation_ps: '2609',
+    m_operation_date: '10.08.2025 12:00:00',
+    m_operation_pay_date: '10.08.2025 12:00:05',
+    m_shop: '1234567',
+    m_orderid: '66b7a1f0c2d4e6f8a0b2c4d6',
+    m_amount: '5.00',
+    m_curr: 'USD',
+    m_desc: Buffer.from('Purchase of 5 CHOIZZE Points').toString('base64'),
+    m_status: 'success'
+  };
+  const parts = [...Object.values(body), secretKey];
+  body.m_sign = crypto.createHash('sha256').update(parts.join(':')).digest('hex').toUpperCase();
+  return body;
+};
+
+test('подпись уведомления проверяется ключом магазина', () => {
+  assert.strictEqual(verifyStatusSignature(signedNotice('secret'), 'secret'), true);
+  assert.strictEqual(verifyStatusSignature(signedNotice('other'), 'secret'), false);
+});
+
+test('без ключа подпись не принимается, даже посчитанная с пустым ключом', () => {
+  const body = signedNotice('');
+  assert.strictEqual(verifyStatusSignature(body, ''), false);
+  assert.strictEqual(verifyStatusSignature(body, undefined), false);
+});
+
+test('провайдер Payeer не создаётся без магазина или ключа', () => {
+  assert.throws(() => createPayeerProvider({ shopId: '1234567' }), /PAYEER_SECRET_KEY/);
+  assert.throws(() => createPayeerProvider({ secretKey: 'secret' }), /PAYEER_SHOP_ID/);
+  assert.strictEqual(createPayeerProvider({ shopId: '1234567', secretKey: 'secret' }).name, 'PAYEER');
+});
@@ -0,0 +1,109 @@
+// Модель Mongoose в памяти для тестов сервисов: поддерживает только те запросы, которые делают сервисы
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$or') return cond.some(sub => matches(doc, sub));
+  const value = doc[key];
+  if (cond && typeof cond === 'object' && !(cond instanceof Date) && Object.keys(cond).some(k => k.startsWith('$'))) {
+    return Object.entries(cond).every(([op, arg]) => {
+      switch (op) {
+        case '$in': return arg.some(a => String(a) === String(value));
+        case '$nin': return !arg.some(a => String(a) === String(value));
+        case '$ne': return String(value) !== String(arg);
+        case '$gt': return value > arg;
+        case '$gte': return value >= arg;
+        case '$lt': return value < arg;
+        case '$lte': return value <= arg;
+        case '$exists': return (value !== undefined) === arg;
+        default: throw new Error(`Оператор ${op} не поддерживается`);
+      }
+    });
+  }
+  if (Array.isArray(value)) return value.some(v => String(v) === String(cond));
+  if (cond === null) return value === null || value === undefined;
+  return String(value) === String(cond);
+});
+
+const applyUpdate = (doc, update) => {
+  const { $set, $setOnInsert, $inc, $push, ...plain } = update;
+  Object.assign(doc, plain, $set);
+  for (const [key, amount] of Object.entries($inc || {})) doc[key] = (doc[key] || 0) + amount;
+  for (const [key, item] of Object.entries($push || {})) {
+    const items = item && item.$each ? item.$each : [item];
+    const pushed = [...(doc[key] || []), ...items];
+    doc[key] = item && item.$slice ? pushed.slice(item.$slice) : pushed;
+  }
+};
+
+// Цепочка запроса: sort/select/limit и await
+const query = (run) => {
+  let order;
+  let max;
+  const q = {
+    sort(spec) { order = spec; return q; },
+    select() { return q; },
+    limit(n) { max = n; return q; },
+    lean() { return q; },
+    then(resolve, reject) {
+      let docs = run();
+      if (order) {
+        const [[field, dir]] = Object.entries(order);
+        docs = [...docs].sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * dir);
+      }
+      if (max) docs = docs.slice(0, max);
+      return Promise.resolve(docs).then(resolve, reject);
+    }
+  };
+  return q;
+};
+
+let nextId = 1;
+
+const createMemoryModel = ({ unique = [] } = {}) => {
+  const docs = [];
+  const first = (run) => {
+    const q = query(run);
+    const then = q.then;
+    q.then = (resolve, reject) => then((found) => found[0] || null).then(resolve, reject);
+    return q;
+  };
+
+  const Model = {
+    docs,
+    async create(fields) {
+      for (const key of unique) {
+        if (fields[key] !== undefined && docs.some(d => String(d[key]) === String(fields[key]))) {
+          throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+      }
+      const doc = { _id: String(nextId++), created_at: new Date(), ...fields };
+      docs.push(doc);
+      return doc;
+    },
+    find: (filter = {}) => query(() => docs.filter(d => matches(d, filter))),
+    findOne: (filter = {}) => first(() => docs.filter(d => matches(d, filter))),
+    findById: (id) => first(() => docs.filter(d => String(d._id) === String(id))),
+    async exists(filter) {
+      const doc = docs.find(d => matches(d, filter));
+      return doc ? { _id: doc._id } : null;
+    },
+    async distinct(field, filter = {}) {
+      return [...new Set(docs.filter(d => matches(d, filter)).map(d => d[field]))];
+    },
+    async findOneAndUpdate(filter, update, options = {}) {
+      let doc = docs.find(d => matches(d, filter));
+      if (!doc) {
+        if (!options.upsert) return null;
+        doc = await Model.create({ ...filter, ...update.$setOnInsert });
+      }
+      applyUpdate(doc, update);
+      return doc;
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) applyUpdate(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    }
+  };
+  return Model;
+};
+
+module.exports = { createMemoryModel };